@@ -0,0 +1,266 @@
+import logger from '../utils/logger.js';
+import config from '../utils/config.js';
+import sessionManager from '../utils/session.js';
+import {
+	SIGNIN_STATUS,
+	PhaseTimer,
+	createOutcome,
+	isSuccessStatus,
+} from '../utils/signInResult.js';
+import {
+	SessionMissingError,
+	SessionExpiredError,
+	SignInError,
+	classifyError,
+} from '../utils/errors.js';
+
+const USER_AGENT =
+	'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * API 签到抽象类
+ * 不启动浏览器，使用保存的登录状态中的 Cookie 直接调用平台的签到接口
+ * API 模式无法登录，登录状态需要先通过浏览器签到、login 命令或导入 Cookie 获得
+ */
+class ApiSignIn {
+	/**
+	 * 构造函数
+	 * @param {string} platformName - 平台名称
+	 * @param {string|null} account - 账号标签，平台配置了多个账号时使用
+	 * @param {Object} defaults - 默认接口地址，可以被 platforms.json 中的 api 配置覆盖
+	 * @param {string} defaults.baseUrl - 接口域名
+	 * @param {Object} defaults.endpoints - 接口名称 -> 路径（或完整地址）
+	 */
+	constructor(platformName, account = null, defaults = {}) {
+		this.platformName = platformName;
+		this.account = account;
+		this.sessionKey = config.formatTarget(platformName, account);
+		this.platformConfig = config.getPlatformConfig(platformName);
+		this.cookies = [];
+		// 本次签到的失败原因（SignInError），与 BaseSignIn 保持一致
+		this.failure = null;
+
+		if (!this.platformConfig) {
+			throw new Error(`未找到平台 ${platformName} 的配置`);
+		}
+
+		if (account) {
+			this.platformConfig = {
+				...this.platformConfig,
+				displayName: `${this.platformConfig.displayName}(${account})`,
+			};
+		}
+
+		this.apiConfig = this.platformConfig.api || {};
+		this.timeout = this.apiConfig.timeout || config.getBrowserConfig().timeout;
+		this.baseUrl = this.apiConfig.baseUrl || defaults.baseUrl;
+		this.endpoints = { ...defaults.endpoints, ...this.apiConfig.endpoints };
+	}
+
+	/**
+	 * 获取接口地址
+	 * api.baseUrl 替换默认的接口域名，api.endpoints 替换单个接口的路径，可用于镜像或本地桩服务；
+	 * 以 http:// 或 https:// 开头的路径为完整地址，不拼接 baseUrl
+	 * @param {string} name - 接口名称
+	 * @returns {string} 接口地址
+	 */
+	getEndpoint(name) {
+		const endpoint = this.endpoints[name];
+		if (!endpoint) {
+			throw new Error(`${this.platformName} 没有定义接口 ${name}`);
+		}
+		if (/^https?:\/\//.test(endpoint)) {
+			return endpoint;
+		}
+		return `${this.baseUrl.replace(/\/$/, '')}${endpoint}`;
+	}
+
+	/**
+	 * 读取保存的登录状态中的 Cookie
+	 * @returns {boolean} 是否有可用的 Cookie
+	 */
+	loadCookies() {
+		const state = sessionManager.loadStorageState(this.sessionKey);
+		this.cookies = state?.cookies || [];
+		return this.cookies.length > 0;
+	}
+
+	/**
+	 * 生成请求地址对应的 Cookie 请求头，按域名、路径、过期时间和 Secure 属性筛选
+	 * @param {string} url - 请求地址
+	 * @returns {string} Cookie 请求头
+	 */
+	getCookieHeader(url) {
+		const { hostname, pathname, protocol } = new URL(url);
+		const now = Date.now() / 1000;
+
+		return this.cookies
+			.filter((cookie) => {
+				const domain = cookie.domain.replace(/^\./, '');
+				return (
+					(hostname === domain || hostname.endsWith(`.${domain}`)) &&
+					pathname.startsWith(cookie.path || '/') &&
+					(cookie.expires <= 0 || cookie.expires > now) &&
+					(!cookie.secure || protocol === 'https:')
+				);
+			})
+			.map((cookie) => `${cookie.name}=${cookie.value}`)
+			.join('; ');
+	}
+
+	/**
+	 * 读取登录状态中指定名称的 Cookie，如 B站的 bili_jct
+	 * @param {string} name - Cookie 名称
+	 * @returns {string|null} Cookie 值
+	 */
+	getCookie(name) {
+		const cookie = this.cookies.find((item) => item.name === name);
+		return cookie ? cookie.value : null;
+	}
+
+	/**
+	 * 携带 Cookie 发送请求并解析 JSON 响应
+	 * @param {string} url - 请求地址
+	 * @param {Object} options - 请求选项
+	 * @param {string} options.method - 请求方法，默认 GET
+	 * @param {Object} options.body - JSON 请求体
+	 * @param {Object} options.form - 表单请求体（application/x-www-form-urlencoded）
+	 * @param {Object} options.headers - 额外的请求头
+	 * @returns {Object} 响应 JSON
+	 */
+	async request(url, options = {}) {
+		const { method = 'GET', body, form, headers = {} } = options;
+
+		const requestHeaders = {
+			'User-Agent': USER_AGENT,
+			Referer: this.platformConfig.url,
+			Cookie: this.getCookieHeader(url),
+			...headers,
+		};
+		if (form) {
+			requestHeaders['Content-Type'] = 'application/x-www-form-urlencoded';
+		} else if (body) {
+			requestHeaders['Content-Type'] = 'application/json';
+		}
+
+		const response = await fetch(url, {
+			method,
+			headers: requestHeaders,
+			body: form
+				? new URLSearchParams(form).toString()
+				: body
+				? JSON.stringify(body)
+				: undefined,
+			signal: AbortSignal.timeout(this.timeout),
+		});
+
+		if (!response.ok) {
+			throw new Error(`${method} ${url} 返回 HTTP ${response.status}`);
+		}
+		return response.json();
+	}
+
+	/**
+	 * 检查登录状态是否有效
+	 * @returns {boolean} 是否已登录
+	 */
+	async isLoggedIn() {
+		// 子类需要实现此方法
+		throw new Error('子类必须实现 isLoggedIn 方法');
+	}
+
+	/**
+	 * 检查今天是否已经签到
+	 * @returns {boolean} 是否已签到
+	 */
+	async isSignedToday() {
+		// 子类需要实现此方法
+		throw new Error('子类必须实现 isSignedToday 方法');
+	}
+
+	/**
+	 * 查询连续签到天数，平台不提供时返回 null
+	 * @returns {number|null} 连续签到天数
+	 */
+	async getStreak() {
+		return null;
+	}
+
+	/**
+	 * 调用签到接口
+	 * @returns {Object} 签到结果，使用 createOutcome() 创建
+	 */
+	async signIn() {
+		// 子类需要实现此方法
+		throw new Error('子类必须实现 signIn 方法');
+	}
+
+	/**
+	 * API 签到流程
+	 * 失败原因：session_missing（没有保存的登录状态，状态为 skipped）、session_expired（登录状态已失效）、
+	 * session_load_failed（登录状态无法读取）、
+	 * network_unavailable（网络不可用）、api_failed（接口请求出错）、signin_failed（签到接口返回失败）
+	 * @returns {Object} 签到结果，同 BaseSignIn.run()，timings 为 session、signin 两个阶段的耗时
+	 */
+	async run() {
+		const timer = new PhaseTimer();
+		let outcome;
+		this.failure = null;
+
+		try {
+			logger.info(
+				`${this.platformConfig.displayName} - 开始签到流程（API 模式）`
+			);
+
+			timer.start('session');
+			if (!this.loadCookies()) {
+				logger.warn(
+					`${this.platformConfig.displayName} - 没有可用的登录状态，API 模式无法登录`
+				);
+				this.failure = new SessionMissingError();
+				outcome = createOutcome(SIGNIN_STATUS.SKIPPED);
+			} else if (!(await this.isLoggedIn())) {
+				logger.warn(`${this.platformConfig.displayName} - 登录状态已失效`);
+				this.failure = new SessionExpiredError();
+				outcome = createOutcome(SIGNIN_STATUS.FAILED);
+			} else {
+				timer.start('signin');
+				if (await this.isSignedToday()) {
+					logger.info(`${this.platformConfig.displayName} - 今日已签到`);
+					outcome = createOutcome(SIGNIN_STATUS.ALREADY_SIGNED, {
+						streak: await this.getStreak(),
+					});
+				} else {
+					outcome = await this.signIn();
+					if (outcome.status === SIGNIN_STATUS.FAILED) {
+						this.failure = new SignInError(outcome.message || '签到失败', {
+							code: 'signin_failed',
+						});
+					}
+				}
+			}
+		} catch (error) {
+			this.failure = classifyError(error, 'api');
+			outcome = createOutcome(SIGNIN_STATUS.FAILED, {
+				message: this.failure.message,
+			});
+			logger.error(
+				`${this.platformConfig.displayName} - API 签到出错 [${this.failure.code}]: ${this.failure.message}`
+			);
+		} finally {
+			timer.stop();
+		}
+
+		const success = isSuccessStatus(outcome.status);
+		return {
+			...outcome,
+			success,
+			loginMethod: 'cookie',
+			timings: timer.timings,
+			failureReason: success ? null : (this.failure?.code ?? null),
+			retryable: success ? null : (this.failure?.retryable ?? null),
+		};
+	}
+}
+
+export default ApiSignIn;
@@ -0,0 +1,84 @@
+/**
+ * 基础验证码处理抽象类
+ * 所有验证码处理方式（手动处理、外部识别服务、直接放弃等）都应该继承此类
+ */
+class BaseCaptchaHandler {
+	/**
+	 * 构造函数
+	 * @param {string} type - 处理方式
+	 * @param {BaseSignIn} signIn - 出现验证码的签到实例
+	 * @param {Object} handlerConfig - platforms.json 中的 captcha 配置
+	 */
+	constructor(type, signIn, handlerConfig = {}) {
+		this.type = type;
+		this.signIn = signIn;
+		this.handlerConfig = handlerConfig;
+	}
+
+	/**
+	 * 当前页面
+	 */
+	get page() {
+		return this.signIn.page;
+	}
+
+	/**
+	 * 平台显示名称，用于日志
+	 */
+	get displayName() {
+		return this.signIn.platformConfig.displayName;
+	}
+
+	/**
+	 * 平台配置的选择器
+	 */
+	get selectors() {
+		return this.signIn.platformConfig.selectors;
+	}
+
+	/**
+	 * 处理方式说明，用于日志
+	 * @returns {string} 说明
+	 */
+	describe() {
+		return this.type;
+	}
+
+	/**
+	 * 处理验证码
+	 * @param {Object} captcha - 验证码元素（Playwright ElementHandle）
+	 * @returns {boolean} 验证码是否已通过
+	 */
+	async solve(captcha) {
+		// 子类需要实现此方法
+		throw new Error('子类必须实现 solve 方法');
+	}
+
+	/**
+	 * 验证码是否仍然显示在页面上
+	 * @returns {boolean} 是否显示
+	 */
+	async isCaptchaVisible() {
+		return Boolean(
+			await this.signIn.findElement(this.selectors.captcha, { visible: true })
+		);
+	}
+
+	/**
+	 * 等待验证码从页面上消失
+	 * @param {number} timeout - 超时时间（毫秒）
+	 * @returns {boolean} 超时前是否已消失
+	 */
+	async waitForCaptchaGone(timeout) {
+		const deadline = Date.now() + timeout;
+		while (Date.now() < deadline) {
+			if (!(await this.isCaptchaVisible())) {
+				return true;
+			}
+			await this.page.waitForTimeout(1000);
+		}
+		return false;
+	}
+}
+
+export default BaseCaptchaHandler;
@@ -0,0 +1,38 @@
+/**
+ * 基础凭据来源抽象类
+ * 所有凭据来源（环境变量、文件、外部命令等）都应该继承此类
+ */
+class BaseCredentialProvider {
+	/**
+	 * 构造函数
+	 * @param {string} type - 来源类型
+	 * @param {string} platformName - 平台名称，多账号时为 平台:账号
+	 * @param {Object} providerConfig - platforms.json 中的来源配置
+	 */
+	constructor(type, platformName, providerConfig = {}) {
+		this.type = type;
+		this.platformName = platformName;
+		this.providerConfig = providerConfig;
+	}
+
+	/**
+	 * 来源说明，用于日志和错误提示
+	 * @returns {string} 说明
+	 */
+	describe() {
+		return this.type;
+	}
+
+	/**
+	 * 读取账号信息
+	 * 只返回该来源能提供的字段，其余字段由后面的来源补充
+	 * 需要执行外部命令等耗时操作的来源可以返回 Promise
+	 * @returns {Object|Promise<Object>} { username, password }
+	 */
+	resolve() {
+		// 子类需要实现此方法
+		throw new Error('子类必须实现 resolve 方法');
+	}
+}
+
+export default BaseCredentialProvider;
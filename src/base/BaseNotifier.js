@@ -0,0 +1,121 @@
+import logger from '../utils/logger.js';
+
+/**
+ * 通知发送策略
+ */
+export const NOTIFY_POLICIES = {
+	ALWAYS: 'always',
+	ON_FAILURE: 'on-failure',
+};
+
+/**
+ * 基础通知渠道抽象类
+ * 所有通知渠道的实现都应该继承此类
+ */
+class BaseNotifier {
+	/**
+	 * 构造函数
+	 * @param {string} channelName - 渠道名称
+	 * @param {Object} channelConfig - notify.json 中的渠道配置
+	 */
+	constructor(channelName, channelConfig = {}) {
+		this.channelName = channelName;
+		this.channelConfig = channelConfig;
+		this.policy = channelConfig.policy || NOTIFY_POLICIES.ALWAYS;
+		this.displayName = channelConfig.name || channelName;
+	}
+
+	/**
+	 * 读取配置项，未配置时从环境变量读取（用于保存密钥）
+	 * @param {string} key - 配置项名称
+	 * @param {string} envName - 环境变量名称
+	 * @returns {string|undefined} 配置值
+	 */
+	getSetting(key, envName) {
+		return this.channelConfig[key] || process.env[envName];
+	}
+
+	/**
+	 * 检查渠道配置是否完整
+	 * @returns {boolean} 是否可用
+	 */
+	isConfigured() {
+		// 子类需要实现此方法
+		throw new Error('子类必须实现 isConfigured 方法');
+	}
+
+	/**
+	 * 根据发送策略判断是否需要发送
+	 * @param {Object} message - 通知消息
+	 * @param {boolean} message.isFailure - 是否为失败通知
+	 * @returns {boolean} 是否发送
+	 */
+	shouldNotify(message) {
+		if (this.policy === NOTIFY_POLICIES.ON_FAILURE) {
+			return message.isFailure;
+		}
+		return true;
+	}
+
+	/**
+	 * 发送通知
+	 * @param {Object} message - 通知消息
+	 * @param {string} message.title - 标题
+	 * @param {string} message.text - 正文
+	 */
+	async send(message) {
+		// 子类需要实现此方法
+		throw new Error('子类必须实现 send 方法');
+	}
+
+	/**
+	 * 以 JSON 格式发送 POST 请求
+	 * @param {string} url - 请求地址
+	 * @param {Object} body - 请求体
+	 * @returns {Object} 响应 JSON
+	 */
+	async postJson(url, body) {
+		const response = await fetch(url, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(body),
+		});
+		return this.parseResponse(response);
+	}
+
+	/**
+	 * 以表单格式发送 POST 请求
+	 * @param {string} url - 请求地址
+	 * @param {Object} fields - 表单字段
+	 * @returns {Object} 响应 JSON
+	 */
+	async postForm(url, fields) {
+		const response = await fetch(url, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+			body: new URLSearchParams(fields).toString(),
+		});
+		return this.parseResponse(response);
+	}
+
+	/**
+	 * 解析响应，HTTP 状态码异常时抛出错误
+	 * @param {Response} response - fetch 响应
+	 * @returns {Object} 响应 JSON，非 JSON 响应返回空对象
+	 */
+	async parseResponse(response) {
+		const text = await response.text();
+		if (!response.ok) {
+			throw new Error(`HTTP ${response.status}: ${text.slice(0, 200)}`);
+		}
+
+		try {
+			return JSON.parse(text);
+		} catch (error) {
+			logger.debug(`${this.displayName} - 响应不是 JSON: ${text.slice(0, 200)}`);
+			return {};
+		}
+	}
+}
+
+export default BaseNotifier;
@@ -1,7 +1,41 @@
 import { chromium } from 'playwright';
+import fs from 'fs';
+import path from 'path';
 import logger from '../utils/logger.js';
 import config from '../utils/config.js';
 import sessionManager from '../utils/session.js';
+import notifier from '../notifiers/index.js';
+import history from '../utils/history.js';
+import artifactStore from '../utils/artifacts.js';
+import metrics from '../utils/metrics.js';
+import {
+	SELECTOR_SCENES,
+	getSelectorAlternatives,
+	formatSelector,
+	isSelectorExpected,
+} from '../utils/selectors.js';
+import captchaManager from '../captcha/index.js';
+import verificationCodes from '../utils/verificationCode.js';
+import {
+	decodeQrCode,
+	renderQrCodeToTerminal,
+	renderQrCodeToPng,
+} from '../utils/qrcode.js';
+import {
+	SIGNIN_STATUS,
+	PhaseTimer,
+	createOutcome,
+	normalizeOutcome,
+	isSuccessStatus,
+} from '../utils/signInResult.js';
+import {
+	CredentialsMissingError,
+	CaptchaRequiredError,
+	VerificationCodeRejectedError,
+	SelectorNotFoundError,
+	SignInError,
+	classifyError,
+} from '../utils/errors.js';
 
 /**
  * 基础签到抽象类
@@ -11,25 +45,86 @@ class BaseSignIn {
 	/**
 	 * 构造函数
 	 * @param {string} platformName - 平台名称
+	 * @param {string|null} account - 账号标签，平台配置了多个账号时使用
 	 */
-	constructor(platformName) {
+	constructor(platformName, account = null) {
 		this.platformName = platformName;
+		this.account = account;
+		// 登录状态按账号分别保存
+		this.sessionKey = config.formatTarget(platformName, account);
 		this.platformConfig = config.getPlatformConfig(platformName);
-		this.credentials = config.getPlatformCredentials(platformName);
+		// 账号信息在需要密码登录时才读取，见 loadCredentials()
+		this.credentials = null;
 		this.browserConfig = config.getBrowserConfig();
 		this.browser = null;
 		this.context = null;
 		this.page = null;
+		this.tracing = false;
+		// 运行统计：本次签到的失败原因（SignInError）和使用的登录方式
+		this.failure = null;
+		this.loginMethod = null;
+		// 本次运行中已经提示过使用备选的选择器，同一个选择器只提示一次
+		this.selectorFallbacks = new Set();
 
 		if (!this.platformConfig) {
 			throw new Error(`未找到平台 ${platformName} 的配置`);
 		}
 
+		if (account) {
+			// 日志中的平台名称带上账号，便于区分同一平台的多个账号
+			this.platformConfig = {
+				...this.platformConfig,
+				displayName: `${this.platformConfig.displayName}(${account})`,
+			};
+		}
+	}
+
+	/**
+	 * 读取账号信息，同一实例只读取一次
+	 * 凭据来源可能需要执行外部命令或解密凭据库，因此只在密码登录前读取，
+	 * 使用保存的登录状态、导入 Cookie、doctor 等不需要密码的场景不会触发
+	 * @returns {Promise<Object>} 账号信息 { username, password, tried }
+	 */
+	async loadCredentials() {
+		if (!this.credentials) {
+			this.credentials = await config.getPlatformCredentials(
+				this.platformName,
+				this.account
+			);
+		}
+		return this.credentials;
+	}
+
+	/**
+	 * 读取并检查账号信息是否完整
+	 * 只在需要密码登录时检查，使用导入的 Cookie 登录的平台可以不配置账号
+	 */
+	async assertCredentials() {
+		await this.loadCredentials();
 		if (!this.credentials.username || !this.credentials.password) {
-			throw new Error(`平台 ${platformName} 的账号信息不完整`);
+			const missing = [
+				!this.credentials.username && '用户名',
+				!this.credentials.password && '密码',
+			].filter(Boolean);
+			throw new CredentialsMissingError(
+				`平台 ${this.sessionKey} 的账号信息不完整（缺少${missing.join(
+					'和'
+				)}，已尝试: ${this.credentials.tried.join('; ') || '无'}）`
+			);
 		}
 	}
 
+	/**
+	 * 记录本次签到的失败原因，只保留最先发生的错误
+	 * 流程中返回 false 的步骤用它说明具体原因，例如 return this.fail(new CaptchaRequiredError())
+	 * @param {SignInError} error - 失败原因
+	 * @returns {boolean} 始终返回 false
+	 */
+	fail(error) {
+		this.failure = this.failure || error;
+		return false;
+	}
+
 	/**
 	 * 初始化浏览器
 	 */
@@ -41,10 +136,8 @@ class BaseSignIn {
 				timeout: this.browserConfig.timeout,
 			});
 
-			// 检查是否有保存的登录状态
-			const storageStatePath = sessionManager.getStorageStatePath(
-				this.platformName
-			);
+			// 检查是否有保存的登录状态（加密的状态在内存中解密）
+			const storageState = sessionManager.loadStorageState(this.sessionKey);
 
 			// 浏览器上下文配置
 			const contextOptions = {
@@ -53,11 +146,11 @@ class BaseSignIn {
 				viewport: { width: 1290, height: 1080 },
 			};
 
-			if (storageStatePath) {
+			if (storageState) {
 				// 使用保存的存储状态创建浏览器上下文
 				this.context = await this.browser.newContext({
 					...contextOptions,
-					storageState: storageStatePath,
+					storageState,
 				});
 				logger.info(
 					`${this.platformConfig.displayName} - 使用保存的登录状态初始化浏览器`
@@ -80,6 +173,101 @@ class BaseSignIn {
 		}
 	}
 
+	/**
+	 * 按 BROWSER_TRACE 配置开始记录 Playwright trace
+	 */
+	async startTrace() {
+		if (config.getArtifactsConfig().trace === 'off') {
+			return;
+		}
+
+		try {
+			await this.context.tracing.start({ screenshots: true, snapshots: true });
+			this.tracing = true;
+		} catch (error) {
+			logger.warn(
+				`${this.platformConfig.displayName} - 开始记录 trace 失败: ${error.message}`
+			);
+		}
+	}
+
+	/**
+	 * 保存失败现场：整页截图、页面 HTML 和 trace
+	 * 签到成功时只在 BROWSER_TRACE=on 时保存 trace
+	 * @param {string} runId - 执行ID
+	 * @param {boolean} failed - 本次签到是否失败
+	 * @returns {Object|null} { dir, screenshot, html, trace }，没有保存任何文件时返回 null
+	 */
+	async collectArtifacts(runId, failed) {
+		const keepTrace =
+			this.tracing && (failed || config.getArtifactsConfig().trace === 'on');
+		if (!failed && !keepTrace) {
+			await this.stopTrace(null);
+			return null;
+		}
+		// 浏览器没有启动成功时没有可保存的内容
+		if (!this.page) {
+			return null;
+		}
+
+		const dir = artifactStore.getDir(runId, this.sessionKey);
+		const artifacts = { dir, screenshot: null, html: null, trace: null };
+
+		if (failed) {
+			try {
+				artifacts.screenshot = path.join(dir, 'screenshot.png');
+				await this.page.screenshot({
+					path: artifacts.screenshot,
+					fullPage: true,
+				});
+			} catch (error) {
+				artifacts.screenshot = null;
+				logger.warn(
+					`${this.platformConfig.displayName} - 保存失败截图失败: ${error.message}`
+				);
+			}
+
+			try {
+				artifacts.html = path.join(dir, 'page.html');
+				fs.writeFileSync(artifacts.html, await this.page.content());
+			} catch (error) {
+				artifacts.html = null;
+				logger.warn(
+					`${this.platformConfig.displayName} - 保存页面 HTML 失败: ${error.message}`
+				);
+			}
+		}
+
+		if (keepTrace) {
+			artifacts.trace = await this.stopTrace(path.join(dir, 'trace.zip'));
+		}
+
+		logger.info(`${this.platformConfig.displayName} - 现场文件已保存到 ${dir}`);
+		return artifacts;
+	}
+
+	/**
+	 * 停止记录 trace
+	 * @param {string|null} tracePath - 保存路径，为 null 时丢弃
+	 * @returns {string|null} 保存的路径
+	 */
+	async stopTrace(tracePath) {
+		if (!this.tracing) {
+			return null;
+		}
+		this.tracing = false;
+
+		try {
+			await this.context.tracing.stop(tracePath ? { path: tracePath } : {});
+			return tracePath;
+		} catch (error) {
+			logger.warn(
+				`${this.platformConfig.displayName} - 保存 trace 失败: ${error.message}`
+			);
+			return null;
+		}
+	}
+
 	/**
 	 * 关闭浏览器
 	 */
@@ -102,36 +290,129 @@ class BaseSignIn {
 		}
 	}
 
+	/**
+	 * 查找选择器在 platforms.json 中的名称，如 signInButton
+	 * @param {string|string[]} selector - 选择器
+	 * @returns {string|null} 选择器名称，不是配置中的选择器时返回 null
+	 */
+	getSelectorName(selector) {
+		const selectors = this.platformConfig.selectors || {};
+		return (
+			Object.keys(selectors).find((name) => selectors[name] === selector) ||
+			null
+		);
+	}
+
+	/**
+	 * 记录配置中的选择器命中了第几个备选
+	 * 首选找不到元素、使用了后面的备选时提示一次，说明首选选择器可能已经失效
+	 * @param {string|string[]} selector - 选择器
+	 * @param {string[]} alternatives - 备选选择器列表
+	 * @param {number} index - 命中的备选下标
+	 */
+	recordSelectorMatch(selector, alternatives, index) {
+		const name = this.getSelectorName(selector);
+		if (!name) {
+			return;
+		}
+
+		metrics.recordSelectorMatch(this.platformName, name, index + 1);
+		if (index > 0 && !this.selectorFallbacks.has(name)) {
+			this.selectorFallbacks.add(name);
+			logger.warn(
+				`${this.platformConfig.displayName} - 选择器 ${name} 的首选 ${alternatives[0]} 找不到元素，使用了第 ${
+					index + 1
+				} 个备选 ${alternatives[index]}`
+			);
+		} else {
+			logger.debug(
+				`${this.platformConfig.displayName} - 选择器 ${name} 命中 ${alternatives[index]}`
+			);
+		}
+	}
+
+	/**
+	 * 按顺序尝试备选选择器，返回第一个找到的元素
+	 * 选择器可以是数组或逗号分隔的字符串，见 getSelectorAlternatives()
+	 * @param {string|string[]} selector - 选择器
+	 * @param {Object} options - 选项
+	 * @param {number} options.timeout - 等待元素出现的时间（毫秒），默认 0 只查找一次
+	 * @param {boolean} options.visible - 是否只接受可见的元素，默认 false
+	 * @returns {Object|null} 找到的元素（Playwright ElementHandle），找不到时返回 null
+	 */
+	async findElement(selector, options = {}) {
+		const { timeout = 0, visible = false } = options;
+		const alternatives = getSelectorAlternatives(selector);
+		const deadline = Date.now() + timeout;
+
+		while (true) {
+			for (const [index, alternative] of alternatives.entries()) {
+				let element = null;
+				try {
+					element = await this.page.$(alternative);
+				} catch (error) {
+					// 语法错误的备选不影响后面的备选
+					logger.debug(
+						`${this.platformConfig.displayName} - 无效的选择器 ${alternative}: ${
+							error.message.split('\n')[0]
+						}`
+					);
+				}
+
+				if (element && (!visible || (await element.isVisible()))) {
+					this.recordSelectorMatch(selector, alternatives, index);
+					return element;
+				}
+			}
+
+			if (Date.now() >= deadline) {
+				return null;
+			}
+			await this.page.waitForTimeout(250);
+		}
+	}
+
 	/**
 	 * 等待元素出现
-	 * @param {string} selector - 选择器
+	 * @param {string|string[]} selector - 选择器
 	 * @param {number} timeout - 超时时间
 	 */
 	async waitForElement(selector, timeout = 10000) {
-		try {
-			await this.page.waitForSelector(selector, { timeout });
-			return true;
-		} catch (error) {
+		const element = await this.findElement(selector, {
+			timeout,
+			visible: true,
+		});
+		if (!element) {
 			logger.warn(
-				`${this.platformConfig.displayName} - 等待元素 ${selector} 超时`
+				`${this.platformConfig.displayName} - 等待元素 ${formatSelector(
+					selector
+				)} 超时`
 			);
-			return false;
 		}
+		return Boolean(element);
 	}
 
 	/**
 	 * 安全点击元素
-	 * @param {string} selector - 选择器
+	 * @param {string|string[]} selector - 选择器
 	 * @param {number} timeout - 超时时间
 	 */
 	async safeClick(selector, timeout = 10000) {
 		try {
-			await this.page.waitForSelector(selector, { timeout });
-			await this.page.click(selector);
+			const element = await this.findElement(selector, {
+				timeout,
+				visible: true,
+			});
+			if (!element) {
+				throw new Error(`等待 ${timeout}ms 后仍找不到元素`);
+			}
+			await element.click();
 			return true;
 		} catch (error) {
 			logger.warn(
-				`${this.platformConfig.displayName} - 点击元素 ${selector} 失败: ${error.message}`
+				`${this.platformConfig.displayName} - 点击元素 ${formatSelector(
+					selector
+				)} 失败: ${error.message}`
 			);
 			return false;
 		}
@@ -139,18 +420,26 @@ class BaseSignIn {
 
 	/**
 	 * 安全输入文本
-	 * @param {string} selector - 选择器
+	 * @param {string|string[]} selector - 选择器
 	 * @param {string} text - 文本内容
 	 * @param {number} timeout - 超时时间
 	 */
 	async safeInput(selector, text, timeout = 10000) {
 		try {
-			await this.page.waitForSelector(selector, { timeout });
-			await this.page.fill(selector, text);
+			const element = await this.findElement(selector, {
+				timeout,
+				visible: true,
+			});
+			if (!element) {
+				throw new Error(`等待 ${timeout}ms 后仍找不到元素`);
+			}
+			await element.fill(text);
 			return true;
 		} catch (error) {
 			logger.warn(
-				`${this.platformConfig.displayName} - 输入文本到 ${selector} 失败: ${error.message}`
+				`${this.platformConfig.displayName} - 输入文本到 ${formatSelector(
+					selector
+				)} 失败: ${error.message}`
 			);
 			return false;
 		}
@@ -162,17 +451,16 @@ class BaseSignIn {
 	 * @returns {boolean} 弹窗是否出现
 	 */
 	async waitForLoginModal(timeout = 10000) {
-		try {
-			const modalSelector = this.platformConfig.selectors.loginModal;
-			await this.page.waitForSelector(modalSelector, { timeout });
+		const modalSelector = this.platformConfig.selectors.loginModal;
+		if (await this.findElement(modalSelector, { timeout, visible: true })) {
 			logger.info(`${this.platformConfig.displayName} - 登录弹窗已出现`);
 			return true;
-		} catch (error) {
-			logger.warn(
-				`${this.platformConfig.displayName} - 等待登录弹窗超时: ${error.message}`
-			);
-			return false;
 		}
+
+		logger.warn(`${this.platformConfig.displayName} - 等待登录弹窗超时`);
+		return this.fail(
+			new SelectorNotFoundError('登录弹窗没有出现', modalSelector)
+		);
 	}
 
 	/**
@@ -183,28 +471,16 @@ class BaseSignIn {
 		try {
 			const loginButtonSelector = this.platformConfig.selectors.loginButton;
 
-			// 尝试多个可能的登录按钮选择器
-			const selectors = loginButtonSelector.split(', ');
-			let buttonClicked = false;
-
-			for (const selector of selectors) {
-				const button = await this.page.$(selector.trim());
-				if (button) {
-					await button.click();
-					buttonClicked = true;
-					logger.info(
-						`${
-							this.platformConfig.displayName
-						} - 点击登录按钮: ${selector.trim()}`
-					);
-					break;
-				}
-			}
-
-			if (!buttonClicked) {
+			// 按顺序尝试多个可能的登录按钮选择器
+			const button = await this.findElement(loginButtonSelector);
+			if (!button) {
 				logger.error(`${this.platformConfig.displayName} - 找不到登录按钮`);
-				return false;
+				return this.fail(
+					new SelectorNotFoundError('找不到登录按钮', loginButtonSelector)
+				);
 			}
+			await button.click();
+			logger.info(`${this.platformConfig.displayName} - 点击登录按钮`);
 
 			// 等待登录弹窗出现
 			await this.page.waitForTimeout(1000);
@@ -235,9 +511,238 @@ class BaseSignIn {
 		throw new Error('子类必须实现 login 方法');
 	}
 
+	/**
+	 * 检查并处理登录过程中出现的验证码
+	 * 验证码选择器为 platforms.json 中的 selectors.captcha，处理方式为 captcha.strategy
+	 * 未能通过时失败原因为 CaptchaRequiredError（captcha_required）
+	 * @returns {boolean} 没有验证码或验证码已通过时返回 true
+	 */
+	async handleCaptcha() {
+		const selector = this.platformConfig.selectors.captcha;
+		if (!selector) {
+			return true;
+		}
+
+		const captcha = await this.findElement(selector, { visible: true });
+		if (!captcha) {
+			return true;
+		}
+
+		const handler = captchaManager.getHandler(this);
+		logger.warn(
+			`${this.platformConfig.displayName} - 需要验证码，处理方式: ${handler.describe()}`
+		);
+
+		if (!(await handler.solve(captcha))) {
+			return this.fail(new CaptchaRequiredError());
+		}
+		return true;
+	}
+
+	/**
+	 * 检查并处理登录后要求输入的短信或邮箱验证码
+	 * 输入框选择器为 selectors.verificationCodeInput，验证码来源和等待时间见 verificationCode 配置
+	 * 没有收到验证码时失败原因为 verification_code_required，提交后仍要求输入时为 verification_code_rejected
+	 * @returns {boolean} 不需要验证码或验证码已通过时返回 true
+	 */
+	async handleVerificationCode() {
+		const {
+			verificationCodeInput,
+			verificationCodeSend,
+			verificationCodeSubmit,
+		} = this.platformConfig.selectors;
+		if (!verificationCodeInput) {
+			return true;
+		}
+
+		const input = await this.findElement(verificationCodeInput, {
+			visible: true,
+		});
+		if (!input) {
+			return true;
+		}
+
+		const codeConfig = {
+			timeout: 5 * 60 * 1000,
+			notify: true,
+			...this.platformConfig.verificationCode,
+		};
+		logger.warn(`${this.platformConfig.displayName} - 登录需要输入验证码`);
+
+		// 部分平台需要手动点击发送验证码
+		if (verificationCodeSend) {
+			await this.safeClick(verificationCodeSend, 5000);
+		}
+
+		if (codeConfig.notify) {
+			await notifier.notify({
+				title: `🔑 ${this.platformConfig.displayName} 登录需要验证码`,
+				text: `请在 ${Math.round(
+					codeConfig.timeout / 1000
+				)} 秒内提交收到的验证码：\nnode src/index.js code ${
+					this.sessionKey
+				} <验证码>`,
+				isFailure: true,
+			});
+		}
+
+		let code;
+		try {
+			({ code } = await verificationCodes.waitForCode(this.sessionKey, {
+				sources: codeConfig.sources,
+				timeout: codeConfig.timeout,
+				label: this.platformConfig.displayName,
+			}));
+		} catch (error) {
+			logger.error(
+				`${this.platformConfig.displayName} - 获取验证码失败: ${error.message}`
+			);
+			return this.fail(error);
+		}
+
+		await input.fill(code);
+		if (verificationCodeSubmit) {
+			await this.safeClick(verificationCodeSubmit, 5000);
+		} else {
+			await input.press('Enter');
+		}
+		await this.page.waitForTimeout(3000);
+
+		if (await this.findElement(verificationCodeInput, { visible: true })) {
+			logger.error(`${this.platformConfig.displayName} - 验证码未通过`);
+			return this.fail(new VerificationCodeRejectedError());
+		}
+
+		logger.info(`${this.platformConfig.displayName} - 验证码已通过`);
+		return true;
+	}
+
+	/**
+	 * 按平台配置的登录方式登录
+	 * loginStrategy 为 qrcode 时扫码登录，否则使用账号密码登录
+	 * @returns {boolean} 登录是否成功
+	 */
+	async performLogin() {
+		if (this.platformConfig.loginStrategy === 'qrcode') {
+			this.loginMethod = 'qrcode';
+			return this.qrLogin();
+		}
+
+		this.loginMethod = 'password';
+		await this.assertCredentials();
+		return this.login();
+	}
+
+	/**
+	 * 识别页面上的登录二维码
+	 * @returns {string|null} 二维码内容，二维码不存在或无法识别时返回 null
+	 */
+	async readQrCode() {
+		const element = await this.findElement(
+			this.platformConfig.selectors.qrCode,
+			{ visible: true }
+		);
+		if (!element) {
+			return null;
+		}
+		return decodeQrCode(await element.screenshot());
+	}
+
+	/**
+	 * 在终端中显示二维码，并按配置推送到通知渠道
+	 * @param {string} content - 二维码内容
+	 * @param {Object} qrConfig - 扫码登录配置
+	 */
+	async showQrCode(content, qrConfig) {
+		const terminalQrCode = await renderQrCodeToTerminal(content);
+		process.stdout.write(
+			`\n请使用 ${this.platformConfig.displayName} App 扫描二维码登录:\n${terminalQrCode}\n`
+		);
+
+		if (qrConfig.notify) {
+			await notifier.notifyLoginQrCode(this.platformConfig.displayName, {
+				content,
+				image: await renderQrCodeToPng(content),
+				timeout: qrConfig.timeout,
+			});
+		}
+	}
+
+	/**
+	 * 扫码登录
+	 * 打开登录弹窗并切换到扫码登录，识别二维码后在终端中显示，等待用户扫码后页面变为已登录
+	 * 二维码过期刷新后会重新显示
+	 * @param {Object} options - 选项，默认使用 platforms.json 中的 qrLogin 配置
+	 * @param {number} options.timeout - 等待扫码的最长时间（毫秒），默认 2 分钟
+	 * @param {number} options.pollInterval - 检查登录状态的间隔（毫秒），默认 3 秒
+	 * @param {boolean} options.notify - 是否推送二维码到通知渠道，默认 true
+	 * @returns {boolean} 登录是否成功
+	 */
+	async qrLogin(options = {}) {
+		const qrConfig = {
+			timeout: 2 * 60 * 1000,
+			pollInterval: 3000,
+			notify: true,
+			...this.platformConfig.qrLogin,
+			...options,
+		};
+		const { qrCode, loginTabQrCode } = this.platformConfig.selectors;
+
+		if (!qrCode) {
+			logger.error(
+				`${this.platformConfig.displayName} - 未配置二维码选择器 selectors.qrCode`
+			);
+			return false;
+		}
+
+		logger.info(`${this.platformConfig.displayName} - 开始扫码登录`);
+		if (!(await this.openLoginModal())) {
+			logger.error(`${this.platformConfig.displayName} - 无法打开登录弹窗`);
+			return false;
+		}
+
+		if (loginTabQrCode) {
+			const tab = await this.findElement(loginTabQrCode);
+			if (tab) {
+				await tab.click();
+				logger.info(`${this.platformConfig.displayName} - 切换到扫码登录`);
+			}
+		}
+
+		let lastContent = null;
+		const deadline = Date.now() + qrConfig.timeout;
+		while (Date.now() < deadline) {
+			const content = await this.readQrCode();
+			if (content && content !== lastContent) {
+				logger.info(
+					`${this.platformConfig.displayName} - ${
+						lastContent ? '二维码已刷新' : '已识别登录二维码'
+					}`
+				);
+				lastContent = content;
+				await this.showQrCode(content, qrConfig);
+			}
+
+			// 还没有出现二维码时不检查登录状态，避免把登录弹窗误判为已登录
+			if (lastContent && !content && (await this.isLoggedIn())) {
+				logger.info(`${this.platformConfig.displayName} - 扫码登录成功`);
+				return true;
+			}
+
+			await this.page.waitForTimeout(qrConfig.pollInterval);
+		}
+
+		logger.error(
+			`${this.platformConfig.displayName} - ${
+				lastContent ? '等待扫码超时' : '未能识别登录二维码'
+			}`
+		);
+		return false;
+	}
+
 	/**
 	 * 执行签到
-	 * @returns {boolean} 签到是否成功
+	 * @returns {Object} 签到结果，使用 createOutcome() 创建；返回布尔值时视为 signed / failed
 	 */
 	async signIn() {
 		// 子类需要实现此方法
@@ -251,7 +756,7 @@ class BaseSignIn {
 	async saveLoginState() {
 		try {
 			if (this.context) {
-				await sessionManager.saveStorageState(this.platformName, this.context);
+				await sessionManager.saveStorageState(this.sessionKey, this.context);
 				return true;
 			}
 			return false;
@@ -267,21 +772,300 @@ class BaseSignIn {
 	 * 清除登录状态
 	 */
 	clearLoginState() {
-		sessionManager.clearSession(this.platformName);
+		sessionManager.clearSession(this.sessionKey);
+	}
+
+	/**
+	 * 刷新保存的登录状态
+	 * 使用保存的状态打开平台，确认仍处于登录状态后重新保存，让滚动续期的 Cookie 得到更新
+	 * @returns {Object} { success, skipped, message }
+	 */
+	async refreshSession() {
+		if (!sessionManager.hasValidSession(this.sessionKey)) {
+			return { success: false, skipped: true, message: '没有可用的登录状态' };
+		}
+
+		try {
+			logger.info(`${this.platformConfig.displayName} - 开始刷新登录状态`);
+
+			await this.initBrowser();
+			await this.page.goto(this.platformConfig.url);
+			await this.page.waitForLoadState('networkidle');
+
+			if (!(await this.isLoggedIn())) {
+				logger.warn(`${this.platformConfig.displayName} - 登录状态已失效`);
+				return { success: false, message: '登录状态已失效' };
+			}
+
+			const saved = await this.saveLoginState();
+			if (saved) {
+				logger.info(`${this.platformConfig.displayName} - 登录状态已刷新`);
+			}
+			return {
+				success: saved,
+				message: saved ? '登录状态已刷新' : '保存登录状态失败',
+			};
+		} catch (error) {
+			logger.error(
+				`${this.platformConfig.displayName} - 刷新登录状态出错: ${error.message}`
+			);
+			return {
+				success: false,
+				message: `刷新登录状态出错: ${error.message.split('\n')[0]}`,
+			};
+		} finally {
+			await this.closeBrowser();
+		}
+	}
+
+	/**
+	 * 验证保存的登录状态是否可用
+	 * 使用保存的状态打开平台并检查是否已登录，用于导入 Cookie 后的确认
+	 * @returns {Object} { success, message }
+	 */
+	async verifySession() {
+		try {
+			await this.initBrowser();
+			await this.page.goto(this.platformConfig.url);
+			await this.page.waitForLoadState('networkidle');
+
+			if (!(await this.isLoggedIn())) {
+				return { success: false, message: '使用该登录状态未能登录' };
+			}
+
+			// 重新保存，带上打开页面时服务端下发的 Cookie
+			await this.saveLoginState();
+			return { success: true, message: '登录状态可用' };
+		} catch (error) {
+			return {
+				success: false,
+				message: `验证登录状态出错: ${error.message.split('\n')[0]}`,
+			};
+		} finally {
+			await this.closeBrowser();
+		}
+	}
+
+	/**
+	 * 检查 platforms.json 中的选择器在线上页面是否仍然有效
+	 * 使用保存的登录状态依次打开 url 和 signInUrl，逐个检查 selectors 中的备选选择器
+	 * @returns {Object} 检查报告 { target, displayName, hasSession, loggedIn, pages, selectors, summary, error }
+	 *   selectors 中每项为 { name, selector, scene, page, matched, count, expected, alternatives: [{ selector, count, error }] }
+	 */
+	async diagnoseSelectors() {
+		const selectors = this.platformConfig.selectors || {};
+		const urls = [
+			...new Set(
+				[this.platformConfig.url, this.platformConfig.signInUrl].filter(Boolean)
+			),
+		];
+		const report = {
+			platform: this.platformName,
+			account: this.account,
+			target: this.sessionKey,
+			displayName: this.platformConfig.displayName,
+			checkedAt: new Date().toISOString(),
+			hasSession: sessionManager.hasValidSession(this.sessionKey),
+			loggedIn: null,
+			pages: [],
+			selectors: [],
+			summary: null,
+			error: null,
+		};
+		const entries = new Map();
+
+		try {
+			await this.initBrowser();
+
+			for (const url of urls) {
+				await this.page.goto(url);
+				await this.page.waitForLoadState('networkidle');
+				if (report.loggedIn === null) {
+					report.loggedIn = await this.isLoggedIn();
+				}
+				report.pages.push({
+					url,
+					finalUrl: this.page.url(),
+					title: await this.page.title(),
+				});
+
+				for (const [name, selector] of Object.entries(selectors)) {
+					const alternatives = [];
+					for (const alternative of getSelectorAlternatives(selector)) {
+						try {
+							alternatives.push({
+								selector: alternative,
+								count: await this.page.locator(alternative).count(),
+								error: null,
+							});
+						} catch (error) {
+							alternatives.push({
+								selector: alternative,
+								count: 0,
+								error: error.message.split('\n')[0],
+							});
+						}
+					}
+
+					const matched = alternatives.find((item) => item.count > 0) || null;
+					// 多个页面时保留第一个找到元素的页面的结果
+					if (!entries.has(name) || (matched && !entries.get(name).matched)) {
+						entries.set(name, {
+							name,
+							selector,
+							scene: SELECTOR_SCENES[name] || 'on_demand',
+							page: url,
+							matched: matched ? matched.selector : null,
+							count: matched ? matched.count : 0,
+							expected: null,
+							alternatives,
+						});
+					}
+				}
+			}
+		} catch (error) {
+			report.error = error.message.split('\n')[0];
+		} finally {
+			await this.closeBrowser();
+		}
+
+		report.selectors = Array.from(entries.values());
+		const state = {
+			loggedIn: Boolean(report.loggedIn),
+			signInStateFound: report.selectors.some(
+				(entry) => entry.scene === 'signin' && entry.matched
+			),
+		};
+		for (const entry of report.selectors) {
+			entry.expected = isSelectorExpected(entry.name, state);
+		}
+
+		report.summary = {
+			total: report.selectors.length,
+			matched: report.selectors.filter((entry) => entry.matched).length,
+			// 应该出现却找不到的选择器，很可能已经失效
+			missing: report.selectors
+				.filter((entry) => !entry.matched && entry.expected === true)
+				.map((entry) => entry.name),
+			// 语法错误的备选选择器
+			invalid: report.selectors
+				.filter((entry) => entry.alternatives.some((item) => item.error))
+				.map((entry) => entry.name),
+		};
+		return report;
+	}
+
+	/**
+	 * 等待用户在浏览器中手动完成登录
+	 * @param {number} timeout - 等待登录的最长时间（毫秒）
+	 * @param {number} pollInterval - 检查登录状态的间隔（毫秒）
+	 * @returns {boolean} 是否已登录
+	 */
+	async waitForManualLogin(timeout, pollInterval) {
+		logger.info(
+			`${this.platformConfig.displayName} - 请在打开的浏览器中完成登录（${Math.round(
+				timeout / 1000
+			)} 秒内）`
+		);
+
+		const deadline = Date.now() + timeout;
+		while (Date.now() < deadline) {
+			if (this.page.isClosed()) {
+				throw new Error('浏览器页面已关闭，登录未完成');
+			}
+
+			if (await this.isLoggedIn()) {
+				return true;
+			}
+
+			await this.page.waitForTimeout(pollInterval);
+		}
+
+		logger.error(`${this.platformConfig.displayName} - 等待登录超时`);
+		return false;
+	}
+
+	/**
+	 * 交互式登录，登录成功后保存登录状态
+	 * 默认无论 HEADLESS 如何设置都打开有界面的浏览器，由用户手动完成验证码、短信、扫码等步骤；
+	 * qrCode 为 true 时改为在终端中显示登录二维码，适合没有图形界面的服务器
+	 * @param {Object} options - 选项
+	 * @param {number} options.timeout - 等待登录的最长时间（毫秒），默认 5 分钟
+	 * @param {number} options.pollInterval - 检查登录状态的间隔（毫秒），默认 3 秒
+	 * @param {boolean} options.qrCode - 是否使用扫码登录
+	 * @returns {Object} { success, message }
+	 */
+	async interactiveLogin(options = {}) {
+		const {
+			timeout = 5 * 60 * 1000,
+			pollInterval = 3000,
+			qrCode = false,
+		} = options;
+		if (!qrCode) {
+			this.browserConfig = { ...this.browserConfig, headless: false };
+		}
+
+		try {
+			await this.initBrowser();
+			await this.page.goto(this.platformConfig.url);
+			await this.page.waitForLoadState('domcontentloaded');
+
+			const loggedIn = qrCode
+				? (await this.isLoggedIn()) ||
+				  (await this.qrLogin({ timeout, pollInterval }))
+				: await this.waitForManualLogin(timeout, pollInterval);
+			if (!loggedIn) {
+				return {
+					success: false,
+					message: `${Math.round(timeout / 1000)} 秒内未完成登录`,
+				};
+			}
+
+			const saved = await this.saveLoginState();
+			return {
+				success: saved,
+				message: saved ? '登录成功，登录状态已保存' : '保存登录状态失败',
+			};
+		} catch (error) {
+			return {
+				success: false,
+				message: `交互式登录出错: ${error.message.split('\n')[0]}`,
+			};
+		} finally {
+			await this.closeBrowser();
+		}
 	}
 
 	/**
 	 * 主要的签到流程
-	 * @returns {boolean} 整个流程是否成功
+	 * @param {Object} options - 选项
+	 * @param {string} options.runId - 执行ID，失败现场保存在 artifacts/<执行ID>/<平台>/ 下
+	 * @returns {Object} 签到结果 { status, success, reward, streak, message, loginMethod, timings, failureReason, retryable, artifacts }，
+	 *   timings 为各阶段耗时（毫秒）：browser、navigation、login、signin；
+	 *   failureReason 为失败原因的错误代码，retryable 表示重试是否可能成功，见 utils/errors.js；
+	 *   artifacts 为保存的失败现场 { dir, screenshot, html, trace }，没有保存时为 null
 	 */
-	async run() {
+	async run(options = {}) {
+		const runId = options.runId || history.createRunId();
+		// 当前所处的阶段，出错时作为失败原因
+		let phase = 'browser';
+		const timer = new PhaseTimer();
+		let outcome = createOutcome(SIGNIN_STATUS.FAILED);
+		let artifacts = null;
+		this.failure = null;
+		this.loginMethod = null;
+
 		try {
 			logger.info(`${this.platformConfig.displayName} - 开始签到流程`);
 
 			// 初始化浏览器
+			timer.start(phase);
 			await this.initBrowser();
+			await this.startTrace();
 
 			// 导航到主页
+			phase = 'navigation';
+			timer.start(phase);
 			await this.page.goto(this.platformConfig.url);
 			await this.page.waitForLoadState('networkidle');
 
@@ -290,29 +1074,60 @@ class BaseSignIn {
 
 			if (!loggedIn) {
 				logger.info(`${this.platformConfig.displayName} - 需要登录`);
-				const loginSuccess = await this.login();
+				phase = 'login';
+				timer.start(phase);
+				const loginSuccess = await this.performLogin();
 				if (!loginSuccess) {
-					throw new Error('登录失败');
+					throw new SignInError('登录失败', { code: 'login_failed' });
 				}
 
 				// 登录成功后保存登录状态
 				await this.saveLoginState();
 			} else {
 				logger.info(`${this.platformConfig.displayName} - 已登录`);
+				this.loginMethod = 'session';
 			}
 
 			// 执行签到
-			const signInSuccess = await this.signIn();
-
-			return signInSuccess;
+			phase = 'signin';
+			timer.start(phase);
+			outcome = normalizeOutcome(await this.signIn());
+			if (outcome.status === SIGNIN_STATUS.FAILED) {
+				this.fail(
+					new SignInError(outcome.message || '签到失败', {
+						code: 'signin_failed',
+					})
+				);
+			}
 		} catch (error) {
+			// 验证码等更具体的原因已在流程中记录
+			this.fail(classifyError(error, phase));
+			outcome = createOutcome(SIGNIN_STATUS.FAILED, {
+				message: this.failure.message,
+			});
 			logger.error(
-				`${this.platformConfig.displayName} - 签到流程出错: ${error.message}`
+				`${this.platformConfig.displayName} - 签到流程出错 [${this.failure.code}]: ${this.failure.message}`
 			);
-			return false;
 		} finally {
+			timer.stop();
+			// 关闭浏览器前保存失败现场
+			artifacts = await this.collectArtifacts(
+				runId,
+				!isSuccessStatus(outcome.status)
+			);
 			await this.closeBrowser();
 		}
+
+		const success = isSuccessStatus(outcome.status);
+		return {
+			...outcome,
+			success,
+			loginMethod: this.loginMethod,
+			timings: timer.timings,
+			failureReason: success ? null : (this.failure?.code ?? null),
+			retryable: success ? null : (this.failure?.retryable ?? null),
+			artifacts,
+		};
 	}
 }
 
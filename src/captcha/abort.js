@@ -0,0 +1,25 @@
+import BaseCaptchaHandler from '../base/BaseCaptchaHandler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * 直接放弃：出现验证码时立即结束登录，失败原因记为 captcha_required
+ * 适合无人值守的定时任务，避免在验证码上空等
+ */
+class AbortCaptchaHandler extends BaseCaptchaHandler {
+	constructor(signIn, handlerConfig) {
+		super('abort', signIn, handlerConfig);
+	}
+
+	describe() {
+		return '直接放弃';
+	}
+
+	async solve() {
+		logger.error(
+			`${this.displayName} - 登录需要验证码，已放弃本次登录（可使用 login 命令手动登录或导入 Cookie）`
+		);
+		return false;
+	}
+}
+
+export default AbortCaptchaHandler;
@@ -0,0 +1,146 @@
+import BaseCaptchaHandler from '../base/BaseCaptchaHandler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * 外部识别服务：将验证码截图 POST 到识别服务，按返回的操作完成验证
+ *
+ * 请求体：{ platform, pageUrl, image, width, height }，image 为 base64 编码的 PNG
+ * 响应体：{ actions: [...] }，坐标相对于验证码截图左上角
+ *   { "type": "click", "x": 10, "y": 20 }
+ *   { "type": "drag", "from": { "x": 5, "y": 40 }, "to": { "x": 120, "y": 40 } }
+ *   { "type": "type", "text": "abcd" }   输入到 selectors.captchaInput
+ *
+ * 配置项：
+ *   url          识别服务地址，也可以通过 CAPTCHA_SOLVER_URL 设置
+ *   token        Bearer 令牌，也可以通过 CAPTCHA_SOLVER_TOKEN 设置
+ *   timeout      单次请求超时时间（毫秒），默认 60000
+ *   maxAttempts  最多识别次数，默认 3
+ */
+class HttpCaptchaHandler extends BaseCaptchaHandler {
+	constructor(signIn, handlerConfig) {
+		super('http', signIn, handlerConfig);
+		this.url = handlerConfig.url || process.env.CAPTCHA_SOLVER_URL;
+		this.token = handlerConfig.token || process.env.CAPTCHA_SOLVER_TOKEN;
+		this.timeout = handlerConfig.timeout || 60000;
+		this.maxAttempts = handlerConfig.maxAttempts || 3;
+	}
+
+	describe() {
+		return `识别服务 ${this.url || '（未配置地址）'}`;
+	}
+
+	async solve(captcha) {
+		if (!this.url) {
+			logger.error(
+				`${this.displayName} - 未配置验证码识别服务地址（captcha.url 或 CAPTCHA_SOLVER_URL）`
+			);
+			return false;
+		}
+
+		for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+			// 验证失败后页面会换一张图，每次重新截图
+			const element =
+				(this.selectors.captchaImage &&
+					(await this.signIn.findElement(this.selectors.captchaImage))) ||
+				captcha;
+			// 元素已从页面移除或不可见时没有位置，无法截图和换算坐标
+			const box = await element.boundingBox();
+			if (!box) {
+				logger.error(`${this.displayName} - 验证码图片不可见，无法截图识别`);
+				return false;
+			}
+			const image = await element.screenshot();
+
+			let solution;
+			try {
+				solution = await this.requestSolution({
+					platform: this.signIn.platformName,
+					pageUrl: this.page.url(),
+					image: image.toString('base64'),
+					width: Math.round(box.width),
+					height: Math.round(box.height),
+				});
+			} catch (error) {
+				logger.error(
+					`${this.displayName} - 请求验证码识别服务失败: ${error.message}`
+				);
+				return false;
+			}
+
+			await this.applySolution(solution, box);
+
+			if (await this.waitForCaptchaGone(10000)) {
+				logger.info(
+					`${this.displayName} - 验证码已通过（第 ${attempt} 次识别）`
+				);
+				return true;
+			}
+			logger.warn(`${this.displayName} - 第 ${attempt} 次识别结果未通过验证`);
+		}
+
+		logger.error(
+			`${this.displayName} - 识别 ${this.maxAttempts} 次后验证码仍未通过`
+		);
+		return false;
+	}
+
+	/**
+	 * 请求识别服务
+	 * @param {Object} payload - 请求体
+	 * @returns {Object} 识别结果 { actions }
+	 */
+	async requestSolution(payload) {
+		const response = await fetch(this.url, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+				...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+			},
+			body: JSON.stringify(payload),
+			signal: AbortSignal.timeout(this.timeout),
+		});
+
+		if (!response.ok) {
+			throw new Error(`HTTP ${response.status}`);
+		}
+
+		const solution = await response.json();
+		if (!Array.isArray(solution.actions)) {
+			throw new Error('响应中缺少 actions');
+		}
+		return solution;
+	}
+
+	/**
+	 * 在页面上执行识别服务返回的操作
+	 * @param {Object} solution - 识别结果
+	 * @param {Object} box - 验证码截图在页面中的位置
+	 */
+	async applySolution(solution, box) {
+		const { mouse } = this.page;
+		const at = (point) => [box.x + point.x, box.y + point.y];
+
+		for (const action of solution.actions) {
+			if (action.type === 'click') {
+				await mouse.click(...at(action));
+			} else if (action.type === 'drag') {
+				await mouse.move(...at(action.from));
+				await mouse.down();
+				// 分多步移动，模拟拖动轨迹
+				await mouse.move(...at(action.to), { steps: 20 });
+				await mouse.up();
+			} else if (action.type === 'type') {
+				await this.signIn.safeInput(this.selectors.captchaInput, action.text);
+			} else {
+				logger.warn(`${this.displayName} - 未知的验证码操作: ${action.type}`);
+			}
+			await this.page.waitForTimeout(300);
+		}
+
+		if (this.selectors.captchaSubmit) {
+			await this.signIn.safeClick(this.selectors.captchaSubmit, 5000);
+		}
+	}
+}
+
+export default HttpCaptchaHandler;
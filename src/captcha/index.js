@@ -0,0 +1,46 @@
+import logger from '../utils/logger.js';
+import ManualCaptchaHandler from './manual.js';
+import HttpCaptchaHandler from './http.js';
+import AbortCaptchaHandler from './abort.js';
+
+/**
+ * 验证码处理方式类映射
+ */
+const HANDLER_CLASSES = {
+	manual: ManualCaptchaHandler,
+	http: HttpCaptchaHandler,
+	abort: AbortCaptchaHandler,
+};
+
+/**
+ * 未配置 captcha.strategy 时的处理方式
+ */
+const DEFAULT_STRATEGY = 'manual';
+
+/**
+ * 验证码处理管理器
+ * 根据 platforms.json 中的 captcha 配置选择处理方式
+ */
+class CaptchaManager {
+	/**
+	 * 创建签到实例对应的验证码处理方式
+	 * @param {BaseSignIn} signIn - 签到实例
+	 * @returns {BaseCaptchaHandler} 验证码处理实例
+	 */
+	getHandler(signIn) {
+		const handlerConfig = signIn.platformConfig.captcha || {};
+		const strategy = handlerConfig.strategy || DEFAULT_STRATEGY;
+
+		let HandlerClass = HANDLER_CLASSES[strategy];
+		if (!HandlerClass) {
+			logger.warn(
+				`${signIn.platformConfig.displayName} - 未知的验证码处理方式: ${strategy}，使用 ${DEFAULT_STRATEGY}`
+			);
+			HandlerClass = HANDLER_CLASSES[DEFAULT_STRATEGY];
+		}
+
+		return new HandlerClass(signIn, handlerConfig);
+	}
+}
+
+export default new CaptchaManager();
@@ -0,0 +1,55 @@
+import BaseCaptchaHandler from '../base/BaseCaptchaHandler.js';
+import logger from '../utils/logger.js';
+import notifier from '../notifiers/index.js';
+
+/**
+ * 手动处理验证码：发送带页面截图的通知，等待用户在浏览器中完成验证
+ * 需要以有界面模式运行（HEADLESS=false），无头模式下只能等待超时
+ *
+ * 配置项：
+ *   timeout  等待处理的时间（毫秒），默认 120000
+ *   notify   是否发送通知，默认 true
+ */
+class ManualCaptchaHandler extends BaseCaptchaHandler {
+	constructor(signIn, handlerConfig) {
+		super('manual', signIn, handlerConfig);
+		this.timeout = handlerConfig.timeout || 2 * 60 * 1000;
+	}
+
+	describe() {
+		return `等待手动处理（${Math.round(this.timeout / 1000)} 秒）`;
+	}
+
+	async solve() {
+		const seconds = Math.round(this.timeout / 1000);
+
+		if (this.signIn.browserConfig.headless) {
+			logger.warn(
+				`${this.displayName} - 当前为无头模式，无法在浏览器中处理验证码，请设置 HEADLESS=false`
+			);
+		}
+		logger.warn(`${this.displayName} - 请在 ${seconds} 秒内手动完成验证`);
+
+		if (this.handlerConfig.notify !== false) {
+			await notifier.notify({
+				title: `🧩 ${this.displayName} 登录需要验证码`,
+				text: `请在 ${seconds} 秒内在浏览器中完成验证，超时后本次登录失败。`,
+				isFailure: true,
+				image: {
+					filename: 'captcha.png',
+					content: await this.page.screenshot(),
+				},
+			});
+		}
+
+		const solved = await this.waitForCaptchaGone(this.timeout);
+		if (solved) {
+			logger.info(`${this.displayName} - 验证码已处理`);
+		} else {
+			logger.error(`${this.displayName} - 等待手动处理验证码超时`);
+		}
+		return solved;
+	}
+}
+
+export default ManualCaptchaHandler;
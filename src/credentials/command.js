@@ -0,0 +1,64 @@
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import BaseCredentialProvider from '../base/BaseCredentialProvider.js';
+
+const execAsync = promisify(exec);
+
+/**
+ * 外部命令凭据来源，适用于 pass、1Password CLI、Vault CLI 等密码管理工具
+ * 命令输出的第一行作为密码（与 `pass show` 的约定一致）
+ *
+ * 配置项：
+ *   command          获取密码的命令
+ *   usernameCommand  获取用户名的命令
+ *   username         直接指定用户名
+ *   timeout          命令超时时间（毫秒），默认 10000
+ */
+class CommandCredentialProvider extends BaseCredentialProvider {
+	constructor(platformName, providerConfig) {
+		super('command', platformName, providerConfig);
+		this.timeout = providerConfig.timeout || 10000;
+	}
+
+	describe() {
+		return `命令 ${this.providerConfig.command || '（未配置命令）'}`;
+	}
+
+	/**
+	 * 执行命令并返回输出的第一行
+	 * 异步执行，等待命令时不阻塞守护进程中的定时任务和控制接口
+	 * @param {string} command - 命令
+	 * @returns {Promise<string>} 输出的第一行
+	 */
+	async run(command) {
+		try {
+			const { stdout } = await execAsync(command, {
+				encoding: 'utf8',
+				timeout: this.timeout,
+				env: { ...process.env, SIGNIN_PLATFORM: this.platformName },
+			});
+			return stdout.split(/\r?\n/)[0];
+		} catch (error) {
+			const stderr = error.stderr ? String(error.stderr).trim() : '';
+			const reason = error.killed
+				? `（超过 ${this.timeout}ms 未完成）`
+				: typeof error.code === 'number'
+				? `（退出码 ${error.code}）`
+				: '';
+			throw new Error(
+				`命令执行失败${reason}${stderr ? `: ${stderr.split('\n')[0]}` : ''}`
+			);
+		}
+	}
+
+	async resolve() {
+		const { command, usernameCommand, username } = this.providerConfig;
+
+		return {
+			username: usernameCommand ? await this.run(usernameCommand) : username,
+			password: command ? await this.run(command) : undefined,
+		};
+	}
+}
+
+export default CommandCredentialProvider;
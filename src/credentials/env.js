@@ -0,0 +1,28 @@
+import BaseCredentialProvider from '../base/BaseCredentialProvider.js';
+
+/**
+ * 环境变量凭据来源
+ * 默认读取 <PLATFORM>_USERNAME / <PLATFORM>_PASSWORD，可通过 usernameEnv / passwordEnv 修改
+ */
+class EnvCredentialProvider extends BaseCredentialProvider {
+	constructor(platformName, providerConfig) {
+		super('env', platformName, providerConfig);
+		// juejin:alice 对应 JUEJIN_ALICE_USERNAME
+		const prefix = platformName.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+		this.usernameEnv = providerConfig.usernameEnv || `${prefix}_USERNAME`;
+		this.passwordEnv = providerConfig.passwordEnv || `${prefix}_PASSWORD`;
+	}
+
+	describe() {
+		return `环境变量 ${this.usernameEnv}/${this.passwordEnv}`;
+	}
+
+	resolve() {
+		return {
+			username: process.env[this.usernameEnv],
+			password: process.env[this.passwordEnv],
+		};
+	}
+}
+
+export default EnvCredentialProvider;
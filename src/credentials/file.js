@@ -0,0 +1,55 @@
+import fs from 'fs';
+import BaseCredentialProvider from '../base/BaseCredentialProvider.js';
+
+/**
+ * 读取文件内容并去掉末尾换行
+ * @param {string} filePath - 文件路径
+ * @returns {string} 文件内容
+ */
+function readSecretFile(filePath) {
+	return fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+}
+
+/**
+ * 文件凭据来源，适用于挂载的密钥文件（如 Docker / Kubernetes secrets）
+ *
+ * 配置项：
+ *   path          JSON 文件，包含 { "username": "...", "password": "..." }
+ *   usernameFile  只包含用户名的文件
+ *   passwordFile  只包含密码的文件
+ *   username      直接指定用户名
+ */
+class FileCredentialProvider extends BaseCredentialProvider {
+	constructor(platformName, providerConfig) {
+		super('file', platformName, providerConfig);
+	}
+
+	describe() {
+		const { path, usernameFile, passwordFile } = this.providerConfig;
+		const files = [path, usernameFile, passwordFile].filter(Boolean);
+		return `文件 ${files.join(', ') || '（未配置路径）'}`;
+	}
+
+	resolve() {
+		const { path, usernameFile, passwordFile, username } = this.providerConfig;
+		const credentials = { username };
+
+		if (path) {
+			const data = JSON.parse(fs.readFileSync(path, 'utf8'));
+			credentials.username = credentials.username || data.username;
+			credentials.password = data.password;
+		}
+
+		if (usernameFile) {
+			credentials.username = readSecretFile(usernameFile);
+		}
+
+		if (passwordFile) {
+			credentials.password = readSecretFile(passwordFile);
+		}
+
+		return credentials;
+	}
+}
+
+export default FileCredentialProvider;
@@ -0,0 +1,95 @@
+import logger from '../utils/logger.js';
+import VaultCredentialProvider from './vault.js';
+import EnvCredentialProvider from './env.js';
+import FileCredentialProvider from './file.js';
+import CommandCredentialProvider from './command.js';
+
+/**
+ * 凭据来源类映射
+ */
+const PROVIDER_CLASSES = {
+	vault: VaultCredentialProvider,
+	env: EnvCredentialProvider,
+	file: FileCredentialProvider,
+	command: CommandCredentialProvider,
+};
+
+/**
+ * 未配置 credentials.providers 时的默认来源：先凭据库，再环境变量
+ */
+const DEFAULT_PROVIDERS = [{ type: 'vault' }, { type: 'env' }];
+
+/**
+ * 凭据来源链
+ * 按 platforms.json 中 credentials.providers 的顺序依次读取，
+ * 使用第一个同时提供了用户名和密码的来源；不同来源的字段不会拼在一起，
+ * 避免某个来源缺少字段时用户名和密码来自不同账号
+ */
+class CredentialChain {
+	/**
+	 * 创建平台的凭据来源
+	 * @param {string} platformName - 平台名称
+	 * @param {Array} providerConfigs - 来源配置
+	 * @returns {BaseCredentialProvider[]} 来源实例
+	 */
+	getProviders(platformName, providerConfigs) {
+		const configs =
+			Array.isArray(providerConfigs) && providerConfigs.length > 0
+				? providerConfigs
+				: DEFAULT_PROVIDERS;
+
+		return configs
+			.map((providerConfig) => {
+				const ProviderClass = PROVIDER_CLASSES[providerConfig.type];
+				if (!ProviderClass) {
+					logger.warn(
+						`${platformName} - 未知的凭据来源类型: ${providerConfig.type}`
+					);
+					return null;
+				}
+				return new ProviderClass(platformName, providerConfig);
+			})
+			.filter(Boolean);
+	}
+
+	/**
+	 * 读取平台账号信息
+	 * @param {string} platformName - 平台名称
+	 * @param {Array} providerConfigs - 来源配置
+	 * @returns {Promise<Object>} { username, password, tried }
+	 *   没有完整账号时为第一个只提供了部分字段的来源的结果，用于提示缺少的字段；
+	 *   tried 为尝试过的来源说明，读取失败的来源附带错误原因
+	 */
+	async resolve(platformName, providerConfigs) {
+		let partial = null;
+		const tried = [];
+
+		for (const provider of this.getProviders(platformName, providerConfigs)) {
+			try {
+				const result = await provider.resolve();
+				tried.push(provider.describe());
+				if (result.username && result.password) {
+					return {
+						username: result.username,
+						password: result.password,
+						tried,
+					};
+				}
+				if (!partial && (result.username || result.password)) {
+					partial = result;
+				}
+			} catch (error) {
+				logger.warn(
+					`${platformName} - 从 ${provider.describe()} 读取账号失败: ${
+						error.message
+					}`
+				);
+				tried.push(`${provider.describe()}（${error.message}）`);
+			}
+		}
+
+		return { username: partial?.username, password: partial?.password, tried };
+	}
+}
+
+export default new CredentialChain();
@@ -0,0 +1,21 @@
+import BaseCredentialProvider from '../base/BaseCredentialProvider.js';
+import vault from '../utils/vault.js';
+
+/**
+ * 加密凭据库来源，账号通过 `vault set <平台>` 保存
+ */
+class VaultCredentialProvider extends BaseCredentialProvider {
+	constructor(platformName, providerConfig) {
+		super('vault', platformName, providerConfig);
+	}
+
+	describe() {
+		return `凭据库 ${vault.vaultPath}`;
+	}
+
+	resolve() {
+		return vault.getCredentials(this.platformName) || {};
+	}
+}
+
+export default VaultCredentialProvider;
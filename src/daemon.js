@@ -1,7 +1,12 @@
 #!/usr/bin/env node
 
 import CronScheduler from './scheduler/cron.js';
+import ControlServer from './scheduler/controlServer.js';
 import logger from './utils/logger.js';
+import scheduleConfig from './utils/scheduleConfig.js';
+import daemonState from './utils/daemonState.js';
+import notifyConfig from './utils/notifyConfig.js';
+import notifier from './notifiers/index.js';
 import chalk from 'chalk';
 
 /**
@@ -11,6 +16,7 @@ import chalk from 'chalk';
 class SignInDaemon {
 	constructor() {
 		this.scheduler = new CronScheduler();
+		this.controlServer = null;
 		this.isRunning = false;
 	}
 
@@ -18,11 +24,14 @@ class SignInDaemon {
 	 * 启动守护进程
 	 * @param {Object} options - 配置选项
 	 */
-	start(options = {}) {
+	async start(options = {}) {
 		const {
 			cronExpression = '0 8 * * *', // 默认每天8点
 			parallel = false,
 			platforms = [],
+			presets = [],
+			multi = false,
+			controlApi = {},
 		} = options;
 
 		logger.title('🚀 自动签到守护进程启动', 'green');
@@ -30,9 +39,75 @@ class SignInDaemon {
 		logger.info(`启动时间: ${chalk.cyan(new Date().toLocaleString('zh-CN'))}`);
 
 		// 启动定时任务
-		this.scheduler.start(cronExpression, { parallel, platforms });
+		if (multi || presets.length > 0) {
+			const schedules = multi
+				? scheduleConfig.getSchedules()
+				: presets.map((name) => {
+						const preset = scheduleConfig.getPresetSchedule(name);
+						if (!preset) {
+							throw new Error(`未找到预设: ${name}`);
+						}
+						return preset;
+				  });
+
+			if (schedules.length === 0) {
+				throw new Error('schedule.json 中没有可用的定时任务配置');
+			}
+
+			logger.info(`加载 ${chalk.cyan(schedules.length)} 个定时任务`);
+			this.scheduler.addMultipleSchedules(
+				schedules.map((schedule) => ({
+					name: schedule.name,
+					cronExpression: schedule.cronExpression,
+					description: schedule.description,
+					options: {
+						parallel: schedule.parallel ?? parallel,
+						platforms: schedule.platforms?.length
+							? schedule.platforms
+							: platforms,
+					},
+				}))
+			);
+
+			if (!this.scheduler.isRunning) {
+				throw new Error('没有成功添加的定时任务');
+			}
+		} else {
+			this.scheduler.start(cronExpression, { parallel, platforms });
+		}
+
+		// 签到周报
+		const digestConfig = notifyConfig.getDigestConfig();
+		if (digestConfig.enabled) {
+			this.scheduler.addJob(
+				'weekly-digest',
+				digestConfig.cronExpression,
+				() => notifier.notifyDigest(),
+				`签到周报（最近 ${digestConfig.days} 天）`
+			);
+		}
+		// 登录状态保活
+		const refreshConfig = scheduleConfig.getSessionRefreshConfig();
+		if (refreshConfig.enabled) {
+			this.scheduler.addSessionRefreshJob(refreshConfig);
+		}
 		this.isRunning = true;
 
+		// 控制接口
+		const apiConfig = scheduleConfig.getControlApiConfig(controlApi);
+		if (apiConfig.enabled) {
+			this.controlServer = new ControlServer(this.scheduler, {
+				...apiConfig,
+				onShutdown: () => {
+					logger.info('收到控制接口的停止请求，正在关闭守护进程...');
+					this.stop();
+				},
+			});
+			await this.controlServer.start();
+		}
+
+		this.writeState();
+
 		// 设置信号处理
 		this.setupSignalHandlers();
 
@@ -81,7 +156,7 @@ class SignInDaemon {
 				return;
 			}
 
-			const status = this.scheduler.getStatus();
+			const status = this.writeState();
 			logger.debug(
 				`守护进程状态: ${status.isRunning ? '运行中' : '已停止'} | 任务数: ${
 					status.taskCount
@@ -97,6 +172,21 @@ class SignInDaemon {
 		}, 1000);
 	}
 
+	/**
+	 * 写入守护进程状态文件，包含控制接口的监听地址
+	 * @returns {Object} 定时任务状态
+	 */
+	writeState() {
+		const status = this.scheduler.getStatus();
+		daemonState.write({
+			...status,
+			controlApi: this.controlServer
+				? { host: this.controlServer.host, port: this.controlServer.port }
+				: null,
+		});
+		return status;
+	}
+
 	/**
 	 * 停止守护进程
 	 */
@@ -107,7 +197,11 @@ class SignInDaemon {
 
 		logger.info('正在停止定时任务...');
 		this.scheduler.stop();
+		if (this.controlServer) {
+			this.controlServer.stop();
+		}
 		this.isRunning = false;
+		daemonState.clear();
 
 		logger.success('✅ 守护进程已安全关闭');
 		process.exit(0);
@@ -123,6 +217,9 @@ function parseArgs() {
 		cronExpression: '0 8 * * *',
 		parallel: false,
 		platforms: [],
+		presets: [],
+		multi: false,
+		controlApi: {},
 	};
 
 	for (let i = 0; i < args.length; i++) {
@@ -151,12 +248,73 @@ function parseArgs() {
 					i++; // 跳过下一个参数
 				}
 				break;
+			case '--preset':
+				if (i + 1 < args.length) {
+					options.presets = args[i + 1].split(',').map((p) => p.trim());
+					i++; // 跳过下一个参数
+				}
+				break;
+			case '--multi':
+			case '-m':
+				options.multi = true;
+				break;
+			case '--api-host':
+				if (i + 1 < args.length) {
+					options.controlApi.host = args[i + 1];
+					i++; // 跳过下一个参数
+				}
+				break;
+			case '--api-port':
+				if (i + 1 < args.length) {
+					options.controlApi.port = parseInt(args[i + 1]);
+					i++; // 跳过下一个参数
+				}
+				break;
+			case '--api':
+				options.controlApi.enabled = true;
+				break;
+			case '--no-api':
+				options.controlApi.enabled = false;
+				break;
+			case '--list-presets':
+				listPresets();
+				process.exit(0);
+				break;
 		}
 	}
 
 	return options;
 }
 
+/**
+ * 列出 schedule.json 中的预设和多任务配置
+ */
+function listPresets() {
+	console.log(chalk.cyan.bold('\n📋 预设定时任务'));
+	console.log(chalk.gray('─'.repeat(50)));
+	scheduleConfig.listPresets().forEach((preset) => {
+		console.log(
+			`${chalk.green('▶')} ${chalk.white.bold(preset.name)} ${chalk.gray(
+				preset.cronExpression
+			)} - ${preset.description}${preset.parallel ? chalk.yellow(' [并行]') : ''}`
+		);
+	});
+
+	console.log(chalk.cyan.bold('\n📋 --multi 将加载的任务'));
+	console.log(chalk.gray('─'.repeat(50)));
+	scheduleConfig.getSchedules().forEach((schedule) => {
+		const platforms = schedule.platforms?.length
+			? schedule.platforms.join(', ')
+			: '所有启用的平台';
+		console.log(
+			`${chalk.green('▶')} ${chalk.white.bold(schedule.name)} ${chalk.gray(
+				schedule.cronExpression
+			)} - ${schedule.description || ''} ${chalk.gray(`(${platforms})`)}`
+		);
+	});
+	console.log('');
+}
+
 /**
  * 显示帮助信息
  */
@@ -175,6 +333,13 @@ ${chalk.yellow.bold('选项：')}
   --time, -t <cron>       指定执行时间（cron表达式）
   --parallel, -p          并行执行所有平台签到
   --platforms <list>      指定要执行的平台（逗号分隔）
+  --preset <names>        使用 schedule.json 中的预设（逗号分隔可同时加载多个）
+  --multi, -m             加载 schedule.json 中的所有 schedules（未配置时加载所有预设）
+  --list-presets          列出所有预设和多任务配置
+  --api                   启动控制接口（schedule.json 中默认关闭）
+  --api-host <host>       控制接口监听地址（默认 127.0.0.1）
+  --api-port <port>       控制接口监听端口（默认 8765）
+  --no-api                不启动控制接口
 
 ${chalk.yellow.bold('示例：')}
   ${chalk.gray('node src/daemon.js')}                        # 每天8点执行签到
@@ -183,6 +348,8 @@ ${chalk.yellow.bold('示例：')}
   ${chalk.gray(
 		'node src/daemon.js --platforms "juejin,bilibili"'
 	)} # 只签到指定平台
+  ${chalk.gray('node src/daemon.js --preset workdays-morning')}  # 使用预设
+  ${chalk.gray('node src/daemon.js --multi')}                # 加载多个定时任务
 
 ${chalk.yellow.bold('常用Cron表达式：')}
   ${chalk.gray('0 8 * * *')}   - 每天早上8点
@@ -194,7 +361,12 @@ ${chalk.yellow.bold('常用Cron表达式：')}
 
 ${chalk.yellow.bold('控制守护进程：')}
   启动: node src/daemon.js
-  停止: Ctrl+C 或 kill <PID>
+  停止: Ctrl+C、kill <PID> 或 node src/index.js --stop-schedule（需要控制接口）
+  状态: node src/index.js --schedule-status
+  暂停: node src/index.js --pause-schedule <任务名>
+  恢复: node src/index.js --resume-schedule <任务名>
+  控制接口: 默认关闭，使用 --api 或 schedule.json 中 controlApi.enabled 开启
+  访问令牌: schedule.json 中 controlApi.token 或环境变量 CONTROL_API_TOKEN
 	`)
 	);
 }
@@ -202,11 +374,11 @@ ${chalk.yellow.bold('控制守护进程：')}
 /**
  * 主函数
  */
-function main() {
+async function main() {
 	try {
 		const options = parseArgs();
 		const daemon = new SignInDaemon();
-		daemon.start(options);
+		await daemon.start(options);
 	} catch (error) {
 		logger.failure(`守护进程启动失败: ${error.message}`);
 		process.exit(1);
@@ -3,8 +3,36 @@ import config from './utils/config.js';
 import sessionManager from './utils/session.js';
 import JuejinSignIn from './platforms/juejin.js';
 import BilibiliSignIn from './platforms/bilibili.js';
+import ApiSignIn from './base/ApiSignIn.js';
+import JuejinApiSignIn from './platforms/api/juejin.js';
+import BilibiliApiSignIn from './platforms/api/bilibili.js';
+import scheduleConfig from './utils/scheduleConfig.js';
+import daemonState from './utils/daemonState.js';
+import controlClient from './utils/controlClient.js';
+import history from './utils/history.js';
+import artifactStore from './utils/artifacts.js';
+import notifier from './notifiers/index.js';
+import notifyConfig from './utils/notifyConfig.js';
+import metrics from './utils/metrics.js';
+import vault from './utils/vault.js';
+import verificationCodes from './utils/verificationCode.js';
+import { SCENE_LABELS, formatSelector } from './utils/selectors.js';
+import encryption from './utils/encryption.js';
+import { prompt, confirm, readStdin } from './utils/prompt.js';
 import CronScheduler from './scheduler/cron.js';
+import { computeRetryDelay, sleep } from './utils/retry.js';
+import { classifyError } from './utils/errors.js';
+import {
+	SIGNIN_STATUS,
+	STATUS_LABELS,
+	LOGIN_METHOD_LABELS,
+	describeOutcome,
+	formatTimings,
+} from './utils/signInResult.js';
 import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 
 /**
  * 平台签到类映射
@@ -14,105 +42,349 @@ const PLATFORM_CLASSES = {
 	bilibili: BilibiliSignIn,
 };
 
+/**
+ * 平台 API 签到类映射，用于 mode 为 api / api-then-browser 的平台
+ */
+const API_PLATFORM_CLASSES = {
+	juejin: JuejinApiSignIn,
+	bilibili: BilibiliApiSignIn,
+};
+
+/**
+ * 失败原因（错误代码，见 utils/errors.js）对应的结果消息，未列出的原因使用「签到失败」
+ */
+const FAILURE_MESSAGES = {
+	credentials_missing: '账号信息不完整',
+	login_rejected: '登录被拒绝',
+	captcha_required: '登录需要验证码',
+	verification_code_required: '没有收到登录验证码',
+	verification_code_rejected: '登录验证码未通过',
+	selector_not_found: '找不到页面元素',
+	navigation_timeout: '打开页面超时',
+	browser_launch_failed: '浏览器启动失败',
+	network_unavailable: '网络不可用',
+	session_missing: '没有可用的登录状态（API 模式）',
+	session_expired: '登录状态已失效（API 模式）',
+	session_load_failed: '无法读取保存的登录状态',
+	api_failed: 'API 请求出错',
+};
+
+/**
+ * 签到命令的退出码
+ *   0 全部成功
+ *   1 程序执行出错
+ *   2 有平台签到失败，重试可能成功
+ *   3 有平台签到失败且不可重试，需要人工处理（如补充账号、处理验证码、重新导入 Cookie）
+ */
+const EXIT_CODES = {
+	SUCCESS: 0,
+	ERROR: 1,
+	FAILED: 2,
+	ACTION_REQUIRED: 3,
+};
+
+/**
+ * 签到结果状态的显示文字
+ * @param {string} status - 签到结果状态
+ * @returns {string} 带颜色的状态文字
+ */
+function formatStatus(status) {
+	switch (status) {
+		case SIGNIN_STATUS.SIGNED:
+			return chalk.green.bold('✅ 成功');
+		case SIGNIN_STATUS.ALREADY_SIGNED:
+			return chalk.green('✅ 已签到');
+		case SIGNIN_STATUS.SKIPPED:
+			return chalk.gray('⏭️  跳过');
+		default:
+			return chalk.red.bold('❌ 失败');
+	}
+}
+
+/**
+ * 判断命令行参数是否为签到目标（平台名称或 平台:账号）
+ * @param {string} arg - 命令行参数
+ * @returns {boolean} 是否为签到目标
+ */
+function isTarget(arg) {
+	return Boolean(PLATFORM_CLASSES[config.parseTarget(arg).platform]);
+}
+
 /**
  * 自动签到主程序
  */
 export class AutoSignIn {
-	constructor() {
-		this.platforms = config.getPlatforms();
+	/**
+	 * @param {Object} options - 配置选项
+	 * @param {boolean} options.retry - 是否按重试策略重新执行失败的平台
+	 * @param {string} options.trigger - 触发来源：cron / manual / cli
+	 * @param {string[]} options.platforms - 只执行这些平台（平台名称或 平台:账号），不指定则执行所有启用的平台
+	 */
+	constructor(options = {}) {
+		const filters = options.platforms || [];
+		// 签到目标：每个启用的平台的每个账号
+		this.targets = config.getTargets(filters);
+		filters
+			.filter((name) => config.getTargets([name]).length === 0)
+			.forEach((name) =>
+				logger.warning(`未找到平台 ${name} 的配置或该平台未启用，已跳过`)
+			);
 		this.results = [];
+		this.retry = options.retry !== false;
+		this.trigger = options.trigger || 'cli';
+		this.runId = null;
+	}
+
+	/**
+	 * 执行单个平台（账号）的签到
+	 * @param {Object} target - 签到目标，见 config.getTargets()
+	 * @param {number} attempt - 当前尝试次数（从1开始）
+	 * @returns {Object} 签到结果
+	 */
+	async signInPlatform(target, attempt = 1) {
+		const result = await this.attemptPlatform(target);
+		result.attempts = [
+			{
+				attempt,
+				status: result.status,
+				success: result.success,
+				message: result.message,
+				failureReason: result.failureReason,
+				timestamp: result.timestamp,
+				duration: result.duration,
+			},
+		];
+		return result;
 	}
 
 	/**
-	 * 执行单个平台的签到
-	 * @param {Object} platformConfig - 平台配置
+	 * 对单个平台（账号）进行一次签到尝试
+	 * @param {Object} target - 签到目标
 	 * @returns {Object} 签到结果
 	 */
-	async signInPlatform(platformConfig) {
-		const { name, displayName } = platformConfig;
+	async attemptPlatform(target) {
+		const { platform: name, account, key, displayName } = target;
+		const startTime = Date.now();
+		let signInInstance = null;
 
 		try {
 			logger.progress(`开始处理平台: ${displayName}`);
 
-			const PlatformClass = PLATFORM_CLASSES[name];
-			if (!PlatformClass) {
-				throw new Error(`未找到平台 ${name} 的实现类`);
+			const mode = target.platformConfig.mode || 'browser';
+			let runResult = null;
+
+			if (mode === 'api' || mode === 'api-then-browser') {
+				const ApiClass = API_PLATFORM_CLASSES[name];
+				if (!ApiClass) {
+					throw new Error(`平台 ${name} 不支持 API 签到模式`);
+				}
+				signInInstance = new ApiClass(account);
+				runResult = await signInInstance.run({ runId: this.runId });
+
+				if (!runResult.success && mode === 'api-then-browser') {
+					logger.warning(
+						`平台 ${displayName} API 签到失败（${runResult.failureReason}），改用浏览器签到`
+					);
+					signInInstance = null;
+				}
 			}
 
-			const signInInstance = new PlatformClass();
-			const success = await signInInstance.run();
+			if (!signInInstance) {
+				const PlatformClass = PLATFORM_CLASSES[name];
+				if (!PlatformClass) {
+					throw new Error(`未找到平台 ${name} 的实现类`);
+				}
+				signInInstance = new PlatformClass(account);
+				runResult = await signInInstance.run({ runId: this.runId });
+			}
 
+			const { success, failureReason, retryable } = runResult;
 			const result = {
 				platform: name,
+				account,
+				target: key,
 				displayName,
+				mode: signInInstance instanceof ApiSignIn ? 'api' : 'browser',
+				status: runResult.status,
 				success,
+				reward: runResult.reward,
+				streak: runResult.streak,
+				loginMethod: runResult.loginMethod,
+				timings: runResult.timings,
 				timestamp: new Date().toISOString(),
-				message: success ? '签到成功' : '签到失败',
+				duration: Date.now() - startTime,
+				message: success
+					? describeOutcome(runResult)
+					: FAILURE_MESSAGES[failureReason] || STATUS_LABELS[runResult.status],
+				// 平台返回的失败提示，如「找不到签到按钮」
+				error: success ? undefined : runResult.message || undefined,
+				failureReason,
+				retryable,
+				// 失败现场文件，API 模式没有
+				artifacts: runResult.artifacts || null,
 			};
+			metrics.recordAttempt(result);
 
+			if (Object.keys(result.timings).length > 0) {
+				logger.info(
+					`平台 ${displayName} 各阶段耗时: ${formatTimings(result.timings)}`
+				);
+			}
 			if (success) {
-				logger.success(`平台 ${displayName} 签到成功`);
+				logger.success(`平台 ${displayName} ${result.message}`);
+			} else if (result.status === SIGNIN_STATUS.SKIPPED) {
+				logger.warning(`平台 ${displayName} 已跳过: ${result.message}`);
 			} else {
 				logger.failure(`平台 ${displayName} 签到失败`);
 			}
 
 			return result;
 		} catch (error) {
+			// 创建实例失败时（如缺少配置）还没有进入签到流程
+			const failure = classifyError(error, 'setup');
 			const result = {
 				platform: name,
+				account,
+				target: key,
 				displayName,
+				status: SIGNIN_STATUS.FAILED,
 				success: false,
 				timestamp: new Date().toISOString(),
-				message: `签到出错: ${error.message}`,
-				error: error.message,
+				duration: Date.now() - startTime,
+				message: `签到出错: ${failure.message}`,
+				error: failure.message,
+				failureReason: failure.code,
+				retryable: failure.retryable,
 			};
+			metrics.recordAttempt(result);
 
 			logger.failure(`平台 ${displayName} 签到出错: ${error.message}`);
 			return result;
 		}
 	}
 
+	/**
+	 * 按重试策略重新执行失败的平台
+	 * @param {boolean} parallel - 是否并行重试
+	 */
+	async retryFailed(parallel = false) {
+		if (!this.retry) {
+			return;
+		}
+
+		const failedResults = this.results.filter((r) => !r.success);
+		if (failedResults.length === 0) {
+			return;
+		}
+
+		const retryable = failedResults.filter((result) => {
+			if (result.retryable === false) {
+				return false;
+			}
+			const platformConfig = config.getPlatformConfig(result.platform);
+			return scheduleConfig.getRetryPolicy(platformConfig.retry).enabled;
+		});
+		if (retryable.length === 0) {
+			return;
+		}
+
+		logger.info(
+			chalk.yellow('🔁 ') + `${retryable.length} 个平台签到失败，重新排队重试`
+		);
+
+		if (parallel) {
+			await Promise.all(retryable.map((result) => this.retryPlatform(result)));
+		} else {
+			for (const result of retryable) {
+				await this.retryPlatform(result);
+			}
+		}
+	}
+
+	/**
+	 * 重试单个平台直到成功或达到最大重试次数
+	 * @param {Object} result - 该平台上一次的签到结果
+	 */
+	async retryPlatform(result) {
+		const target = this.targets.find((t) => t.key === result.target);
+		const policy = scheduleConfig.getRetryPolicy(target.platformConfig.retry);
+		let current = result;
+
+		while (
+			!current.success &&
+			current.retryable !== false &&
+			current.attempts.length <= policy.maxRetries
+		) {
+			const retryIndex = current.attempts.length;
+			const delay = computeRetryDelay(retryIndex, policy);
+
+			logger.warning(
+				`平台 ${target.displayName} 将在 ${Math.round(
+					delay / 1000
+				)} 秒后进行第 ${retryIndex} 次重试（最多 ${policy.maxRetries} 次）`
+			);
+			await sleep(delay);
+
+			const next = await this.signInPlatform(target, retryIndex + 1);
+			current = {
+				...next,
+				attempts: [...current.attempts, ...next.attempts],
+			};
+		}
+
+		const index = this.results.indexOf(result);
+		this.results[index] = current;
+	}
+
 	/**
 	 * 执行所有平台的签到
 	 * @param {boolean} parallel - 是否并行执行
 	 */
 	async runAll(parallel = false) {
 		logger.title('自动签到程序开始', 'green');
-		logger.info(`共需要处理 ${chalk.cyan.bold(this.platforms.length)} 个平台`);
+		logger.info(
+			`共需要处理 ${chalk.cyan.bold(this.targets.length)} 个平台账号`
+		);
 
 		// 清理过期会话
 		sessionManager.cleanupExpiredSessions();
 
 		const startTime = Date.now();
+		this.runId = history.createRunId();
+		this.results = [];
 
 		try {
 			if (parallel) {
 				// 并行执行所有平台的签到
 				logger.info(chalk.blue.bold('🚀 ') + '采用并行模式执行签到');
-				const promises = this.platforms.map((platform) =>
-					this.signInPlatform(platform)
+				const promises = this.targets.map((target) =>
+					this.signInPlatform(target)
 				);
 				this.results = await Promise.all(promises);
 			} else {
 				// 串行执行所有平台的签到
 				logger.info(chalk.blue.bold('🔄 ') + '采用串行模式执行签到');
-				for (const platform of this.platforms) {
-					const result = await this.signInPlatform(platform);
+				for (const target of this.targets) {
+					const result = await this.signInPlatform(target);
 					this.results.push(result);
 
 					// 平台之间间隔一段时间，避免被检测
-					if (this.platforms.indexOf(platform) < this.platforms.length - 1) {
+					if (this.targets.indexOf(target) < this.targets.length - 1) {
 						logger.info(chalk.yellow('⏳ ') + '等待 3 秒后处理下一个平台...');
 						await new Promise((resolve) => setTimeout(resolve, 3000));
 					}
 				}
 			}
 
+			// 失败的平台按重试策略重新排队
+			await this.retryFailed(parallel);
+
 			const endTime = Date.now();
 			const duration = Math.round((endTime - startTime) / 1000);
 
 			// 输出签到结果统计
 			this.printResults(duration);
+			await this.finishRun(startTime);
 		} catch (error) {
 			logger.failure(`自动签到程序执行失败: ${error.message}`);
 		}
@@ -125,14 +397,20 @@ export class AutoSignIn {
 	 * @param {number} duration - 执行时长（秒）
 	 */
 	printResults(duration) {
+		const countStatus = (status) =>
+			this.results.filter((r) => r.status === status).length;
 		const successCount = this.results.filter((r) => r.success).length;
-		const failCount = this.results.length - successCount;
+		const skippedCount = countStatus(SIGNIN_STATUS.SKIPPED);
+		const failCount = this.results.length - successCount - skippedCount;
 
 		// 使用新的统计信息方法
 		logger.stats({
 			总计: `${this.results.length} 个平台`,
-			成功: `${successCount} 个`,
+			成功: `${successCount} 个（本次签到 ${countStatus(
+				SIGNIN_STATUS.SIGNED
+			)} 个，今日已签到 ${countStatus(SIGNIN_STATUS.ALREADY_SIGNED)} 个）`,
 			失败: `${failCount} 个`,
+			...(skippedCount > 0 ? { 跳过: `${skippedCount} 个` } : {}),
 			耗时: `${duration} 秒`,
 			成功率: `${Math.round((successCount / this.results.length) * 100)}%`,
 		});
@@ -143,10 +421,11 @@ export class AutoSignIn {
 
 		const tableData = this.results.map((result) => ({
 			平台: result.displayName,
-			状态: result.success
-				? chalk.green.bold('✅ 成功')
-				: chalk.red.bold('❌ 失败'),
+			状态: formatStatus(result.status),
 			消息: result.message,
+			登录: LOGIN_METHOD_LABELS[result.loginMethod] || '-',
+			尝试: `${result.attempts.length} 次`,
+			耗时: `${Math.round(result.duration / 1000)} 秒`,
 			时间: new Date(result.timestamp).toLocaleTimeString('zh-CN'),
 		}));
 
@@ -162,32 +441,683 @@ export class AutoSignIn {
 					chalk.red('▶ ') +
 						chalk.white.bold(result.displayName) +
 						': ' +
-						chalk.red(result.error || result.message)
+						chalk.red(result.error || result.message) +
+						chalk.gray(
+							` (原因: ${result.failureReason || 'unknown'}，共尝试 ${
+								result.attempts.length
+							} 次)`
+						)
 				);
+				if (result.artifacts) {
+					console.log(chalk.gray(`  现场文件: ${result.artifacts.dir}`));
+				}
 			});
 			console.log('');
 		}
 	}
 
+	/**
+	 * 根据本次签到结果计算命令的退出码，见 EXIT_CODES
+	 * @returns {number} 退出码
+	 */
+	getExitCode() {
+		const failed = this.results.filter((r) => !r.success);
+		if (failed.length === 0) {
+			return EXIT_CODES.SUCCESS;
+		}
+		return failed.some((r) => r.retryable === false)
+			? EXIT_CODES.ACTION_REQUIRED
+			: EXIT_CODES.FAILED;
+	}
+
 	/**
 	 * 执行特定平台的签到
-	 * @param {string} platformName - 平台名称
+	 * @param {string} platformName - 平台名称（执行该平台所有账号）或 平台:账号
 	 */
 	async runSingle(platformName) {
-		const platformConfig = this.platforms.find((p) => p.name === platformName);
+		const targets = this.targets.filter(
+			(t) => t.key === platformName || t.platform === platformName
+		);
 
-		if (!platformConfig) {
+		if (targets.length === 0) {
 			logger.failure(`未找到平台 ${platformName} 的配置或该平台未启用`);
 			return;
 		}
 
-		logger.title(`单独执行 ${platformConfig.displayName} 签到`, 'blue');
+		const title =
+			targets.length === 1
+				? targets[0].displayName
+				: targets[0].platformConfig.displayName;
+		logger.title(`单独执行 ${title} 签到`, 'blue');
+
+		const startTime = Date.now();
+		this.runId = history.createRunId();
+		this.results = [];
+		for (const target of targets) {
+			this.results.push(await this.signInPlatform(target));
+		}
+
+		// 失败时按重试策略重新执行
+		await this.retryFailed();
+
+		const duration = Math.round((Date.now() - startTime) / 1000);
+		this.printResults(duration);
+		await this.finishRun(startTime);
+	}
+
+	/**
+	 * 刷新所有平台保存的登录状态
+	 * 没有保存登录状态的平台会被跳过
+	 * @returns {Array} 每个平台的刷新结果 { platform, displayName, success, skipped, message }
+	 */
+	async refreshSessions() {
+		logger.title('刷新登录状态', 'blue');
+		const results = [];
+
+		for (const target of this.targets) {
+			const { platform: name, account, key, displayName } = target;
+			let result;
+
+			try {
+				const PlatformClass = PLATFORM_CLASSES[name];
+				if (!PlatformClass) {
+					throw new Error(`未找到平台 ${name} 的实现类`);
+				}
+				result = await new PlatformClass(account).refreshSession();
+			} catch (error) {
+				result = {
+					success: false,
+					message: `刷新登录状态出错: ${error.message}`,
+				};
+			}
+
+			if (result.skipped) {
+				logger.info(`${displayName} - ${result.message}，跳过`);
+			} else {
+				sessionManager.recordRefresh(key, result);
+				if (result.success) {
+					logger.success(`${displayName} - ${result.message}`);
+				} else {
+					logger.failure(`${displayName} - ${result.message}`);
+				}
+			}
+
+			results.push({
+				platform: name,
+				account,
+				target: key,
+				displayName,
+				...result,
+			});
+		}
+
+		return results;
+	}
+
+	/**
+	 * 将本次执行结果写入历史记录并发送通知
+	 * @param {number} startTime - 开始时间戳
+	 */
+	async finishRun(startTime) {
+		const run = {
+			runId: this.runId,
+			trigger: this.trigger,
+			startedAt: new Date(startTime).toISOString(),
+			duration: Date.now() - startTime,
+			results: this.results,
+		};
+
+		history.append(run);
+		artifactStore.prune();
+		await notifier.notifyRun(run);
+	}
+}
+
+/**
+ * 解析历史记录相关命令的参数
+ * @param {string[]} args - 命令之后的参数
+ * @param {number} defaultDays - 默认天数
+ * @returns {Object} { platform, days }
+ */
+function parseHistoryArgs(args, defaultDays) {
+	const daysIndex = args.indexOf('--days');
+	const days =
+		daysIndex !== -1
+			? parseInt(args[daysIndex + 1]) || defaultDays
+			: defaultDays;
+	const platform = args.find(
+		(arg, index) => !arg.startsWith('--') && index !== daysIndex + 1
+	);
+	return { platform, days };
+}
+
+/**
+ * 显示签到历史记录
+ * @param {Object} options - 查询选项
+ * @param {string} options.platform - 平台名称
+ * @param {number} options.days - 最近多少天
+ */
+function printHistory({ platform, days }) {
+	const runs = history.query({ platform, days }).reverse();
+
+	console.log(
+		chalk.cyan.bold(
+			`\n📜 签到历史（最近 ${days} 天${platform ? `，${platform}` : ''}）`
+		)
+	);
+	console.log(chalk.gray('─'.repeat(60)));
+
+	if (runs.length === 0) {
+		console.log(chalk.yellow('⚠️  没有签到记录'));
+		console.log('');
+		return;
+	}
+
+	const triggerNames = { cron: '定时', manual: '手动', cli: '命令行' };
+	runs.forEach((run) => {
+		console.log(
+			`${chalk.white.bold(
+				new Date(run.startedAt).toLocaleString('zh-CN', {
+					timeZone: history.timezone,
+				})
+			)} ${chalk.magenta(triggerNames[run.trigger] || run.trigger)} ${chalk.gray(
+				`${run.runId} · ${Math.round(run.duration / 1000)}秒`
+			)}`
+		);
+		run.results.forEach((result) => {
+			const status =
+				result.status === SIGNIN_STATUS.SKIPPED
+					? chalk.gray('⏭️ ')
+					: result.success
+					? chalk.green('✅')
+					: chalk.red('❌');
+			const attempts =
+				result.attempts > 1 ? chalk.gray(` (尝试 ${result.attempts} 次)`) : '';
+			const detail = result.success
+				? chalk.gray(result.message)
+				: chalk.red(result.error || result.message);
+			console.log(`  ${status} ${result.displayName}: ${detail}${attempts}`);
+		});
+	});
+	console.log('');
+}
+
+/**
+ * 显示签到日历和连续签到天数
+ * @param {Object} options - 查询选项
+ * @param {string} options.platform - 平台名称
+ * @param {number} options.days - 最近多少天
+ */
+function printCalendar({ platform, days }) {
+	const calendar = history.getCalendar({ platform, days });
+	const platforms = Object.entries(calendar.platforms);
+
+	console.log(
+		chalk.cyan.bold(
+			`\n📅 签到日历（${calendar.days[0]} ~ ${
+				calendar.days[calendar.days.length - 1]
+			}）`
+		)
+	);
+	console.log(chalk.gray('─'.repeat(60)));
+
+	if (platforms.length === 0) {
+		console.log(chalk.yellow('⚠️  没有签到记录'));
+		console.log('');
+		return;
+	}
+
+	platforms.forEach(([name, entry]) => {
+		const cells = calendar.days
+			.map((day) => {
+				if (entry.days[day] === 'success') return chalk.green('■');
+				if (entry.days[day] === 'failed') return chalk.red('■');
+				if (entry.days[day] === 'skipped') return chalk.gray('■');
+				return chalk.gray('·');
+			})
+			.join('');
+		console.log(`${chalk.white.bold(entry.displayName || name)}`);
+		console.log(`  ${cells}`);
+		console.log(
+			`  当前连续: ${chalk.cyan.bold(entry.currentStreak)} 天  最长连续: ${chalk.cyan.bold(
+				entry.longestStreak
+			)} 天`
+		);
+	});
+	console.log(
+		chalk.gray(
+			`\n${chalk.green('■')} 已签到  ${chalk.red('■')} 签到失败  ${chalk.gray(
+				'■'
+			)} 已跳过  · 无记录`
+		)
+	);
+	console.log('');
+}
+
+/**
+ * 打印一次签到的执行结果
+ * @param {Object} run - 执行记录
+ */
+function printLastResults(run) {
+	const success = run.results.filter((r) => r.success).length;
+	console.log(chalk.cyan.bold('\n📋 最近一次签到结果'));
+	console.log(chalk.gray('─'.repeat(50)));
+	console.log(`执行ID: ${chalk.gray(run.runId)}`);
+	console.log(`触发方式: ${chalk.cyan(run.trigger)}`);
+	console.log(
+		`开始时间: ${chalk.cyan(new Date(run.startedAt).toLocaleString('zh-CN'))}`
+	);
+	console.log(
+		`结果: ${chalk.green(`${success} 成功`)} / ${chalk.red(
+			`${run.results.length - success} 失败`
+		)}`
+	);
+	console.log(chalk.gray('─'.repeat(50)));
+	run.results.forEach((result) => {
+		const detail = result.success
+			? chalk.green(result.message)
+			: chalk.red(result.error || result.message);
+		console.log(
+			`${result.success ? '✅' : '❌'} ${chalk.white.bold(
+				result.displayName
+			)}: ${detail}`
+		);
+		if (result.artifacts) {
+			console.log(chalk.gray(`   现场文件: ${result.artifacts.dir}`));
+		}
+	});
+	console.log('');
+}
+
+/**
+ * 未设置主密码时在终端中询问，仅对当前进程有效
+ * @param {boolean} confirmNew - 是否需要输入两次确认（创建凭据库时）
+ */
+async function ensureMasterPassphrase(confirmNew = false) {
+	if (encryption.isEnabled()) {
+		return;
+	}
+
+	const passphrase = await prompt('主密码: ', { hidden: true });
+	if (!passphrase) {
+		throw new Error('主密码不能为空');
+	}
+
+	if (confirmNew) {
+		const again = await prompt('再次输入主密码: ', { hidden: true });
+		if (again !== passphrase) {
+			throw new Error('两次输入的主密码不一致');
+		}
+	}
+
+	process.env.MASTER_PASSPHRASE = passphrase;
+}
+
+/**
+ * 处理凭据库命令：vault init | set <平台> [用户名] | list | rm <平台>
+ * @param {string[]} args - vault 之后的参数
+ */
+async function handleVaultCommand(args) {
+	const [subcommand, platformName, username] = args;
+
+	if (subcommand === 'init') {
+		if (vault.exists() && !(await confirm('凭据库已存在，是否覆盖？'))) {
+			return;
+		}
+		await ensureMasterPassphrase(true);
+		vault.init(true);
+		console.log(chalk.green(`✅ 凭据库已创建: ${vault.vaultPath}`));
+		console.log(
+			chalk.gray('运行签到时请设置 MASTER_PASSPHRASE 或 MASTER_KEY_FILE')
+		);
+	} else if (subcommand === 'set') {
+		if (!platformName) {
+			console.log(chalk.yellow('⚠️  请指定平台名称'));
+			console.log(chalk.gray('例如: node src/index.js vault set juejin'));
+			return;
+		}
+		if (!config.getPlatformConfig(config.parseTarget(platformName).platform)) {
+			console.log(chalk.yellow(`⚠️  未找到平台 ${platformName} 的配置`));
+		}
+		await ensureMasterPassphrase();
+		const credentials = {
+			username: username || (await prompt(`${platformName} 用户名: `)),
+			password: await prompt(`${platformName} 密码: `, { hidden: true }),
+		};
+		if (!credentials.username || !credentials.password) {
+			throw new Error('用户名和密码不能为空');
+		}
+		vault.set(platformName, credentials);
+		console.log(chalk.green(`✅ 已保存 ${platformName} 的账号`));
+	} else if (subcommand === 'list') {
+		await ensureMasterPassphrase();
+		const entries = vault.list();
+		if (entries.length === 0) {
+			console.log(chalk.yellow('⚠️  凭据库中没有保存的账号'));
+			return;
+		}
+		console.log(chalk.cyan.bold('\n🔑 凭据库中的账号'));
+		console.log(chalk.gray('─'.repeat(50)));
+		entries.forEach((entry) => {
+			console.log(
+				`${chalk.green('▶')} ${chalk.white.bold(entry.platform)}: ${
+					entry.username
+				} ${chalk.gray(
+					`(更新于 ${new Date(entry.updatedAt).toLocaleString('zh-CN')})`
+				)}`
+			);
+		});
+		console.log('');
+	} else if (subcommand === 'rm') {
+		if (!platformName) {
+			console.log(chalk.yellow('⚠️  请指定平台名称'));
+			return;
+		}
+		await ensureMasterPassphrase();
+		if (vault.remove(platformName)) {
+			console.log(chalk.green(`✅ 已删除 ${platformName} 的账号`));
+		} else {
+			console.log(chalk.yellow(`⚠️  凭据库中没有 ${platformName} 的账号`));
+		}
+	} else {
+		console.log(
+			chalk.yellow('用法: node src/index.js vault <init|set|list|rm>')
+		);
+		console.log(chalk.gray('  vault init                 创建加密凭据库'));
+		console.log(chalk.gray('  vault set <平台> [用户名]  保存平台账号'));
+		console.log(chalk.gray('  vault list                 列出保存的账号'));
+		console.log(chalk.gray('  vault rm <平台>            删除平台账号'));
+	}
+}
+
+/**
+ * 处理会话命令：session import <平台> [文件] [--no-verify]
+ * @param {string[]} args - session 之后的参数
+ */
+async function handleSessionCommand(args) {
+	const verify = !args.includes('--no-verify');
+	const [subcommand, target, file] = args.filter(
+		(arg) => arg !== '--no-verify'
+	);
+
+	if (subcommand !== 'import') {
+		console.log(
+			chalk.yellow('用法: node src/index.js session import <平台> [文件]')
+		);
+		console.log(
+			chalk.gray(
+				'  支持 Cookie 请求头字符串、Netscape cookies.txt、浏览器扩展导出的 JSON'
+			)
+		);
+		console.log(chalk.gray('  不指定文件时从标准输入读取'));
+		console.log(chalk.gray('  --no-verify  导入后不打开浏览器验证'));
+		return;
+	}
+
+	if (!target || !isTarget(target)) {
+		console.log(chalk.red(`❌ 未知的平台: ${target || ''}`));
+		console.log(
+			chalk.gray('例如: node src/index.js session import bilibili cookies.txt')
+		);
+		return;
+	}
+
+	let text;
+	if (file) {
+		text = fs.readFileSync(file, 'utf8');
+	} else if (process.stdin.isTTY) {
+		text = await prompt('粘贴 Cookie 请求头: ', { hidden: true });
+	} else {
+		text = await readStdin();
+	}
+	if (!text.trim()) {
+		throw new Error('没有读取到 Cookie');
+	}
+
+	// 验证失败时恢复原来的登录状态
+	let previousState = null;
+	try {
+		previousState = sessionManager.readStorageState(target);
+	} catch (error) {
+		logger.warn(`${target} - 无法读取原有的登录状态: ${error.message}`);
+	}
+
+	const summary = sessionManager.importCookies(target, text);
+	const formatNames = {
+		header: 'Cookie 请求头',
+		netscape: 'cookies.txt',
+		json: 'JSON',
+	};
+	console.log(
+		chalk.green(
+			`✅ 已从 ${formatNames[summary.format]} 导入 ${summary.imported} 个 Cookie`
+		) +
+			(summary.skipped > 0
+				? chalk.gray(`（忽略其他站点的 ${summary.skipped} 个）`)
+				: '')
+	);
+	if (summary.missing.length > 0) {
+		console.log(
+			chalk.yellow(`⚠️  缺少登录 Cookie: ${summary.missing.join(', ')}`)
+		);
+	}
+
+	if (!verify) {
+		return;
+	}
+
+	const { platform, account } = config.parseTarget(target);
+	const PlatformClass = PLATFORM_CLASSES[platform];
+	console.log(chalk.gray('正在打开浏览器验证登录状态...'));
+	const result = await new PlatformClass(account).verifySession();
+
+	if (result.success) {
+		console.log(chalk.green(`✅ ${target}: ${result.message}`));
+		return;
+	}
+
+	if (previousState) {
+		sessionManager.writeStorageState(target, previousState);
+	} else {
+		sessionManager.clearSession(target);
+	}
+	throw new Error(`${result.message}，已恢复原来的登录状态`);
+}
+
+/**
+ * 处理交互式登录命令：login <平台> [--qr] [--timeout 秒]
+ * @param {string[]} args - login 之后的参数
+ */
+async function handleLoginCommand(args) {
+	const target = args[0];
+	if (!target || !isTarget(target)) {
+		console.log(chalk.red(`❌ 未知的平台: ${target || ''}`));
+		console.log(chalk.gray('例如: node src/index.js login bilibili'));
+		return;
+	}
+
+	const timeoutIndex = args.indexOf('--timeout');
+	const timeoutSeconds =
+		timeoutIndex !== -1 ? parseInt(args[timeoutIndex + 1]) || 300 : 300;
+
+	const { platform, account } = config.parseTarget(target);
+	const PlatformClass = PLATFORM_CLASSES[platform];
+	const result = await new PlatformClass(account).interactiveLogin({
+		timeout: timeoutSeconds * 1000,
+		qrCode: args.includes('--qr'),
+	});
+
+	if (!result.success) {
+		throw new Error(result.message);
+	}
+	console.log(chalk.green(`✅ ${target}: ${result.message}`));
+}
+
+/**
+ * 处理提交验证码命令：code <平台> <验证码>
+ * 守护进程运行中时先通过控制接口提交；守护进程没有在等待该平台的验证码（签到在单独的命令行进程中运行）
+ * 或无法连接时写入验证码文件，由正在运行的签到流程读取
+ * @param {string[]} args - code 之后的参数
+ */
+async function handleCodeCommand(args) {
+	const [target, code] = args;
+	if (!target || !code) {
+		console.log(chalk.yellow('用法: node src/index.js code <平台> <验证码>'));
+		return;
+	}
+
+	if (controlClient.isAvailable()) {
+		try {
+			await controlClient.submitVerificationCode(target, code);
+			console.log(chalk.green(`✅ 已将验证码提交给守护进程中的 ${target}`));
+			return;
+		} catch (error) {
+			// 404 表示守护进程中没有在等待；没有状态码为连接失败，其余错误（如令牌错误）直接报告
+			if (error.statusCode && error.statusCode !== 404) {
+				throw error;
+			}
+			console.log(
+				chalk.gray(`守护进程没有接收验证码（${error.message}），改为写入文件`)
+			);
+		}
+	}
+
+	const codePath = verificationCodes.getCodePath(target);
+	fs.mkdirSync(path.dirname(codePath), { recursive: true });
+	fs.writeFileSync(codePath, `${code}\n`, { mode: 0o600 });
+	console.log(chalk.green(`✅ 验证码已写入 ${codePath}`));
+}
+
+/**
+ * 打印一个平台的选择器检查报告
+ * @param {Object} report - BaseSignIn.diagnoseSelectors() 返回的报告
+ */
+function printDoctorReport(report) {
+	console.log(
+		chalk.cyan.bold(`\n🩺 ${report.displayName}`) +
+			chalk.gray(` (${report.target})`)
+	);
+	console.log(chalk.gray('─'.repeat(60)));
+	console.log(
+		`登录状态: ${
+			report.hasSession ? chalk.green('已保存') : chalk.yellow('未保存')
+		} / ${report.loggedIn ? chalk.green('已登录') : chalk.yellow('未登录')}`
+	);
+	report.pages.forEach((page) => {
+		console.log(chalk.gray(`页面: ${page.finalUrl} ${page.title}`));
+	});
+	if (report.error) {
+		console.log(chalk.red(`❌ 检查出错: ${report.error}`));
+	}
+
+	const width = Math.max(...report.selectors.map((entry) => entry.name.length));
+	report.selectors.forEach((entry) => {
+		const name = entry.name.padEnd(width);
+		const invalid = entry.alternatives.filter((item) => item.error);
 
-		const result = await this.signInPlatform(platformConfig);
-		this.results = [result];
+		if (entry.matched) {
+			const index = entry.alternatives.findIndex(
+				(item) => item.selector === entry.matched
+			);
+			const position = `${index + 1}/${entry.alternatives.length}`;
+			const fallback =
+				index > 0 ? chalk.yellow(` (第 ${position} 个备选)`) : '';
+			console.log(
+				`${chalk.green('✅')} ${name}  ${entry.matched} ${chalk.gray(
+					`${entry.count} 个`
+				)}${fallback}`
+			);
+		} else if (entry.expected) {
+			console.log(
+				`${chalk.red('❌')} ${name}  ${chalk.red('找不到')} ${chalk.gray(formatSelector(entry.selector))}`
+			);
+		} else {
+			console.log(
+				`${chalk.gray('⚪')} ${name}  ${chalk.gray(
+					`找不到（${SCENE_LABELS[entry.scene]}）`
+				)}`
+			);
+		}
+		invalid.forEach((item) => {
+			console.log(
+				chalk.yellow(`   ⚠️  无效的选择器 ${item.selector}: ${item.error}`)
+			);
+		});
+	});
+
+	const { total, matched, missing, invalid } = report.summary;
+	console.log(
+		`\n结果: ${chalk.cyan.bold(`${matched}/${total}`)} 个选择器找到元素` +
+			(missing.length > 0
+				? chalk.red(`，疑似失效: ${missing.join(', ')}`)
+				: '') +
+			(invalid.length > 0
+				? chalk.yellow(`，语法错误: ${invalid.join(', ')}`)
+				: '')
+	);
+}
+
+/**
+ * 处理选择器检查命令：doctor [平台] [--json] [--output 文件]
+ * 使用保存的登录状态打开平台页面，检查 platforms.json 中的选择器是否还能找到元素
+ * 有选择器疑似失效、语法错误或检查出错时退出码为 2
+ * @param {string[]} args - doctor 之后的参数
+ */
+async function handleDoctorCommand(args) {
+	const outputIndex = args.indexOf('--output');
+	const outputPath = outputIndex !== -1 ? args[outputIndex + 1] : null;
+	const json = args.includes('--json');
+	const filters = args.filter(
+		(arg, index) =>
+			!arg.startsWith('--') && (outputIndex === -1 || index !== outputIndex + 1)
+	);
+
+	const unknown = filters.filter((arg) => !isTarget(arg));
+	if (unknown.length > 0) {
+		throw new Error(`未知的平台: ${unknown.join(', ')}`);
+	}
+
+	const targets = config.getTargets(filters);
+	if (targets.length === 0) {
+		throw new Error('没有可检查的平台（平台未启用？）');
+	}
+
+	if (json) {
+		// 只输出 JSON 报告，检查过程中的日志只写入日志文件
+		logger.setConsoleOutput(false);
+	}
+
+	const reports = [];
+	for (const target of targets) {
+		if (!json) {
+			console.log(chalk.gray(`正在检查 ${target.displayName}...`));
+		}
+		const PlatformClass = PLATFORM_CLASSES[target.platform];
+		reports.push(await new PlatformClass(target.account).diagnoseSelectors());
+	}
+
+	const report = { generatedAt: new Date().toISOString(), reports };
+	if (outputPath) {
+		fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+	}
 
-		this.printResults(0);
+	if (json) {
+		console.log(JSON.stringify(report, null, 2));
+	} else {
+		reports.forEach(printDoctorReport);
+		if (outputPath) {
+			console.log(chalk.gray(`\n报告已保存到 ${outputPath}`));
+		}
+		console.log('');
 	}
+
+	const healthy = reports.every(
+		(item) =>
+			!item.error &&
+			item.summary.missing.length === 0 &&
+			item.summary.invalid.length === 0
+	);
+	process.exitCode = healthy ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILED;
 }
 
 /**
@@ -195,11 +1125,12 @@ export class AutoSignIn {
  */
 async function main() {
 	try {
-		const autoSignIn = new AutoSignIn();
-		const scheduler = new CronScheduler();
-
 		// 检查命令行参数
-		const args = process.argv.slice(2);
+		const retry = !process.argv.includes('--no-retry');
+		const args = process.argv.slice(2).filter((arg) => arg !== '--no-retry');
+
+		const autoSignIn = new AutoSignIn({ retry });
+		const scheduler = new CronScheduler();
 
 		if (args.length > 0) {
 			const command = args[0];
@@ -221,21 +1152,52 @@ ${chalk.yellow.bold('选项：')}
   --sessions, -s     显示所有保存的登录状态
   --clear-sessions   清除所有登录状态
   --clear-session    清除指定平台的登录状态
+  --refresh-sessions 立即刷新保存的登录状态（可指定平台）
+  --encrypt-sessions 使用主密码加密已有的明文会话文件
   --schedule, -c     启动定时任务（默认每天8点执行）
   --schedule-time    指定定时任务执行时间（cron表达式）
   --stop-schedule    停止定时任务
   --schedule-status  查看定时任务状态
-  --run-now         立即执行一次签到任务
+  --schedule-preview 预览cron表达式接下来N次执行时间
+  --pause-schedule   暂停守护进程中的指定定时任务
+  --resume-schedule  恢复守护进程中的指定定时任务
+  --next-runs        查看守护进程中各定时任务接下来N次执行时间
+  --last-results     查看守护进程最近一次签到结果
+  --run-now         立即执行一次签到任务（守护进程运行中时由守护进程执行）
+  --no-retry         失败时不按重试策略重新执行
+  --history          查看签到历史（可指定平台，--days N 指定天数）
+  --calendar         查看签到日历和连续签到天数
+  --notify-test      向所有通知渠道发送测试消息
+  --digest           立即发送签到周报（--days N 指定天数）
+
+${chalk.yellow.bold('凭据库：')}
+  vault init         创建加密凭据库
+  vault set <平台>   保存平台账号（密码不回显）
+  vault list         列出保存的账号
+  vault rm <平台>    删除平台账号
+
+${chalk.yellow.bold('登录：')}
+  code <平台> <验证码>          提交正在等待的短信/邮箱验证码
+  login <平台> [--timeout 秒]   打开浏览器手动登录（验证码、短信、扫码），登录后保存状态
+  login <平台> --qr             在终端中显示登录二维码，扫码后保存状态（无需图形界面）
+  session import <平台> [文件]  导入浏览器中导出的 Cookie 并验证登录状态
+                                支持 Cookie 请求头、cookies.txt、JSON，不指定文件时从标准输入读取
+
+${chalk.yellow.bold('诊断：')}
+  doctor [平台]                 检查 platforms.json 中的选择器在线上页面是否有效
+  doctor [平台] --json          输出 JSON 格式的检查报告（--output 文件 同时保存到文件）
 
 ${chalk.yellow.bold('平台名称：')}
   juejin          只执行掘金签到
   bilibili        只执行B站签到
+  juejin:alice    只执行掘金 alice 账号签到（platforms.json 中配置了 accounts 时）
 
 ${chalk.yellow.bold('示例：')}
   ${chalk.gray('node src/index.js')}                    # 串行执行所有平台签到
   ${chalk.gray('node src/index.js --parallel')}         # 并行执行所有平台签到
   ${chalk.gray('node src/index.js juejin')}             # 只执行掘金签到
   ${chalk.gray('node src/index.js bilibili')}           # 只执行B站签到
+  ${chalk.gray('node src/index.js juejin:alice')}       # 只执行掘金 alice 账号签到
   ${chalk.gray('node src/index.js --sessions')}         # 显示所有登录状态
   ${chalk.gray('node src/index.js --clear-sessions')}   # 清除所有登录状态
   ${chalk.gray('node src/index.js --clear-session juejin')}  # 清除掘金登录状态
@@ -247,7 +1209,13 @@ ${chalk.yellow.bold('示例：')}
 	)} # 启动定时任务（每天9点）
   ${chalk.gray('node src/index.js --stop-schedule')}    # 停止定时任务
   ${chalk.gray('node src/index.js --schedule-status')}  # 查看定时任务状态
+  ${chalk.gray(
+		'node src/index.js --schedule-preview "0 */6 * * *" 10'
+	)} # 预览接下来10次执行时间
+  ${chalk.gray('node src/index.js --pause-schedule main')} # 暂停守护进程的 main 任务
   ${chalk.gray('node src/index.js --run-now')}          # 立即执行一次签到
+  ${chalk.gray('node src/index.js --history juejin --days 14')} # 查看掘金最近14天的签到历史
+  ${chalk.gray('node src/index.js --calendar')}         # 查看最近30天的签到日历
         `)
 				);
 				return;
@@ -269,6 +1237,7 @@ ${chalk.yellow.bold('示例：')}
 
 			if (command === '--parallel' || command === '-p') {
 				await autoSignIn.runAll(true);
+				process.exitCode = autoSignIn.getExitCode();
 			} else if (command === '--sessions' || command === '-s') {
 				// 显示所有登录状态
 				const sessions = sessionManager.getAllSessions();
@@ -278,7 +1247,9 @@ ${chalk.yellow.bold('示例：')}
 					console.log(chalk.cyan.bold('\n🔐 保存的登录状态'));
 					console.log(chalk.gray('─'.repeat(50)));
 					sessions.forEach((session) => {
-						const status = session.isValid
+						const status = session.locked
+							? chalk.yellow.bold('🔒 无法解密')
+							: session.isValid
 							? chalk.green.bold('✅ 有效')
 							: chalk.red.bold('❌ 已过期');
 						const daysOld =
@@ -287,12 +1258,89 @@ ${chalk.yellow.bold('示例：')}
 								: chalk.gray(`${session.daysOld}天前`);
 						console.log(
 							`${chalk.white.bold(session.platform)}: ${status} ${chalk.gray(
-								'('
-							)}${daysOld}${chalk.gray(')')}`
+								'(保存于'
+							)}${daysOld}${chalk.gray(')')}${
+								session.encrypted ? chalk.blue(' [已加密]') : ''
+							}`
 						);
+						if (session.expiresAt) {
+							const source =
+								session.expirySource === 'cookie'
+									? '登录Cookie过期时间'
+									: '按保存时间估算';
+							console.log(
+								`  过期时间: ${chalk.cyan(
+									session.expiresAt.toLocaleString('zh-CN', {
+										timeZone: scheduleConfig.getTimezone(),
+									})
+								)} ${chalk.gray(`(${source})`)}`
+							);
+						}
+						if (session.reason) {
+							console.log(`  ${chalk.yellow(session.reason)}`);
+						}
+						if (session.refreshFailed) {
+							console.log(
+								`  ${chalk.red.bold('⚠️  保活检查失败')} ${chalk.gray(
+									`(${new Date(session.refresh.checkedAt).toLocaleString(
+										'zh-CN'
+									)})`
+								)}: ${chalk.red(session.refresh.message)}，下次签到需要重新登录`
+							);
+						} else if (session.refresh?.success) {
+							console.log(
+								`  上次保活: ${chalk.green(
+									new Date(session.refresh.checkedAt).toLocaleString('zh-CN')
+								)}`
+							);
+						}
 					});
 					console.log('');
 				}
+			} else if (command === '--refresh-sessions') {
+				// 立即刷新保存的登录状态
+				const platforms = args.slice(1).filter(isTarget);
+				const results = await new AutoSignIn({ platforms }).refreshSessions();
+				const refreshed = results.filter((r) => !r.skipped);
+				if (refreshed.length === 0) {
+					console.log(chalk.yellow('⚠️  没有可刷新的登录状态'));
+				}
+				refreshed.forEach((result) => {
+					console.log(
+						result.success
+							? chalk.green(`✅ ${result.displayName}: ${result.message}`)
+							: chalk.red(`❌ ${result.displayName}: ${result.message}`)
+					);
+				});
+			} else if (command === 'vault') {
+				// 加密凭据库
+				await handleVaultCommand(args.slice(1));
+			} else if (command === 'code') {
+				// 提交登录验证码
+				await handleCodeCommand(args.slice(1));
+			} else if (command === 'login') {
+				// 打开浏览器手动登录并保存登录状态
+				await handleLoginCommand(args.slice(1));
+			} else if (command === 'session') {
+				// 导入浏览器中导出的 Cookie
+				await handleSessionCommand(args.slice(1));
+			} else if (command === 'doctor') {
+				// 检查选择器在线上页面是否有效
+				await handleDoctorCommand(args.slice(1));
+			} else if (command === '--encrypt-sessions') {
+				// 加密已有的明文会话文件
+				const summary = sessionManager.encryptExistingSessions();
+				console.log(
+					chalk.green(`✅ 已加密 ${summary.encrypted.length} 个会话文件`)
+				);
+				if (summary.skipped.length > 0) {
+					console.log(
+						chalk.gray(`已经是加密文件，跳过: ${summary.skipped.join(', ')}`)
+					);
+				}
+				if (summary.failed.length > 0) {
+					console.log(chalk.red(`❌ 加密失败: ${summary.failed.join(', ')}`));
+				}
 			} else if (command === '--clear-sessions') {
 				// 清除所有登录状态
 				const sessions = sessionManager.getAllSessions();
@@ -314,7 +1362,7 @@ ${chalk.yellow.bold('示例：')}
 					console.log(
 						chalk.gray('例如: node src/index.js --clear-session juejin')
 					);
-				} else if (PLATFORM_CLASSES[platformName]) {
+				} else if (isTarget(platformName)) {
 					sessionManager.clearSession(platformName);
 					console.log(chalk.green.bold(`✅ 已清除 ${platformName} 的登录状态`));
 				} else {
@@ -324,7 +1372,7 @@ ${chalk.yellow.bold('示例：')}
 				// 启动定时任务
 				const cronExpression = args[1] || '0 8 * * *'; // 默认每天8点
 				const parallel = args.includes('--parallel');
-				scheduler.start(cronExpression, { parallel });
+				scheduler.start(cronExpression, { parallel, retry });
 
 				// 保持程序运行
 				console.log(chalk.blue('按 Ctrl+C 停止定时任务'));
@@ -350,7 +1398,7 @@ ${chalk.yellow.bold('示例：')}
 					console.log(chalk.gray('  "0 20 * * *" - 每天20点'));
 				} else {
 					const parallel = args.includes('--parallel');
-					scheduler.start(cronExpression, { parallel });
+					scheduler.start(cronExpression, { parallel, retry });
 
 					console.log(chalk.blue('按 Ctrl+C 停止定时任务'));
 					process.on('SIGINT', () => {
@@ -361,11 +1409,73 @@ ${chalk.yellow.bold('示例：')}
 					setInterval(() => {}, 1000);
 				}
 			} else if (command === '--stop-schedule') {
-				// 停止定时任务
-				scheduler.stop();
+				// 通过控制接口停止守护进程
+				if (!controlClient.isAvailable()) {
+					console.log(
+						chalk.yellow('⚠️  没有正在运行的守护进程（或未开启控制接口）')
+					);
+					return;
+				}
+				const result = await controlClient.shutdown();
+				console.log(chalk.green(`✅ 已通知守护进程停止 (PID: ${result.pid})`));
+			} else if (
+				command === '--pause-schedule' ||
+				command === '--resume-schedule'
+			) {
+				// 通过控制接口暂停/恢复定时任务
+				const name = args[1];
+				if (!name) {
+					console.log(chalk.yellow('⚠️  请指定定时任务名称'));
+					console.log(chalk.gray(`例如: node src/index.js ${command} main`));
+					return;
+				}
+				const pause = command === '--pause-schedule';
+				const result = pause
+					? await controlClient.pauseSchedule(name)
+					: await controlClient.resumeSchedule(name);
+				console.log(
+					chalk.green(`✅ 定时任务 ${result.name} 已${pause ? '暂停' : '恢复'}`)
+				);
+				if (!pause) {
+					console.log(`  下次执行: ${chalk.cyan(result.schedule.nextRun)}`);
+				}
+			} else if (command === '--next-runs') {
+				// 查看守护进程中各定时任务接下来的执行时间
+				const count = parseInt(args[1]) || 5;
+				const { timezone, schedules } = await controlClient.getNextRuns(count);
+				console.log(chalk.cyan.bold('\n🗓️  接下来的执行时间'));
+				console.log(chalk.gray(`时区: ${timezone}`));
+				console.log(chalk.gray('─'.repeat(40)));
+				schedules.forEach((schedule) => {
+					console.log(
+						`${chalk.green('▶')} ${chalk.yellow.bold(schedule.name)} ${chalk.gray(
+							schedule.cronExpression
+						)}${schedule.paused ? chalk.red(' [已暂停]') : ''}`
+					);
+					schedule.nextRuns.forEach((run, index) => {
+						console.log(
+							`${chalk.gray(`${index + 1}.`.padStart(4))} ${chalk.green(
+								run.display
+							)}`
+						);
+					});
+				});
+				console.log('');
+			} else if (command === '--last-results') {
+				// 查看守护进程最近一次签到结果
+				const run = await controlClient.getLastResults();
+				printLastResults(run);
 			} else if (command === '--schedule-status') {
-				// 查看定时任务状态
-				const status = scheduler.getStatus();
+				// 查看定时任务状态（优先通过控制接口查询守护进程）
+				let status = null;
+				if (controlClient.isAvailable()) {
+					try {
+						status = await controlClient.getStatus();
+					} catch (error) {
+						logger.warn(`无法连接守护进程控制接口: ${error.message}`);
+					}
+				}
+				status = status || daemonState.read() || scheduler.getStatus();
 				console.log(chalk.cyan.bold('\n⏰ 定时任务状态'));
 				console.log(chalk.gray('─'.repeat(30)));
 				console.log(
@@ -373,18 +1483,132 @@ ${chalk.yellow.bold('示例：')}
 						status.isRunning ? chalk.green('✅ 运行中') : chalk.red('❌ 已停止')
 					}`
 				);
-				console.log(`任务数量: ${chalk.cyan(status.taskCount)}`);
-				if (status.tasks.length > 0) {
-					console.log(`任务列表: ${chalk.yellow(status.tasks.join(', '))}`);
+				if (status.pid) {
+					console.log(`守护进程: ${chalk.cyan(status.pid)}`);
+				}
+				if (status.currentRun) {
+					console.log(
+						`当前执行: ${chalk.yellow(
+							`${status.currentRun.trigger}，开始于 ${new Date(
+								status.currentRun.startedAt
+							).toLocaleString('zh-CN')}`
+						)}`
+					);
 				}
+				console.log(`任务数量: ${chalk.cyan(status.taskCount)}`);
+				status.details.forEach((task) => {
+					const platforms =
+						task.platforms?.length > 0 ? task.platforms.join(', ') : '所有平台';
+					const scope = task.job
+						? ''
+						: chalk.gray(`(${platforms}${task.parallel ? '，并行' : ''})`);
+					console.log(
+						`${chalk.green('▶')} ${chalk.yellow.bold(task.name)} ${chalk.gray(
+							task.cronExpression
+						)} - ${task.description} ${scope}${
+							task.paused ? chalk.red(' [已暂停]') : ''
+						}`
+					);
+					console.log(`  下次执行: ${chalk.cyan(task.nextRun)}`);
+				});
 				console.log('');
+			} else if (command === '--schedule-preview') {
+				// 预览cron表达式接下来的执行时间
+				const cronExpression = args[1];
+				const count = parseInt(args[2]) || 5;
+				if (!cronExpression) {
+					console.log(chalk.yellow('⚠️  请指定cron表达式'));
+					console.log(
+						chalk.gray(
+							'例如: node src/index.js --schedule-preview "0 */6 * * *" 10'
+						)
+					);
+				} else {
+					const times = scheduler.getNextExecutionTimes(cronExpression, count);
+					if (times.length === 0) {
+						console.log(chalk.red(`❌ 无法计算执行时间: ${cronExpression}`));
+						return;
+					}
+
+					console.log(chalk.cyan.bold('\n🗓️  执行时间预览'));
+					console.log(chalk.gray('─'.repeat(40)));
+					console.log(`表达式: ${chalk.yellow(cronExpression)}`);
+					console.log(
+						`说明: ${chalk.white(
+							scheduleConfig.describeCronExpression(cronExpression)
+						)}`
+					);
+					console.log(`时区: ${chalk.cyan(scheduler.timezone)}`);
+					console.log(chalk.gray('─'.repeat(40)));
+					times.forEach((time, index) => {
+						console.log(
+							`${chalk.gray(`${index + 1}.`.padStart(4))} ${chalk.green(
+								scheduler.formatExecutionTime(time)
+							)}`
+						);
+					});
+					console.log('');
+				}
+			} else if (command === '--history') {
+				// 查看签到历史
+				printHistory(parseHistoryArgs(args.slice(1), 7));
+			} else if (command === '--calendar') {
+				// 查看签到日历
+				printCalendar(parseHistoryArgs(args.slice(1), 30));
+			} else if (command === '--notify-test') {
+				// 向所有通知渠道发送测试消息
+				const results = await notifier.notify({
+					title: '🔔 自动签到通知测试',
+					text: `这是一条测试消息，发送时间: ${new Date().toLocaleString(
+						'zh-CN',
+						{ timeZone: scheduleConfig.getTimezone() }
+					)}`,
+					isFailure: true,
+				});
+				if (results.length === 0) {
+					console.log(chalk.yellow('⚠️  没有已启用且配置完整的通知渠道'));
+				}
+				results.forEach((result) => {
+					console.log(
+						result.success
+							? chalk.green(`✅ ${result.channel}: 发送成功`)
+							: chalk.red(`❌ ${result.channel}: ${result.error}`)
+					);
+				});
+			} else if (command === '--digest') {
+				// 立即发送签到周报，默认统计 notify.json 中 digest.days 天
+				const { days } = parseHistoryArgs(
+					args.slice(1),
+					notifyConfig.getDigestConfig().days
+				);
+				const results = await notifier.notifyDigest(days);
+				if (results.length === 0) {
+					console.log(chalk.yellow('⚠️  没有可接收周报的通知渠道'));
+				}
+				results.forEach((result) => {
+					console.log(
+						result.success
+							? chalk.green(`✅ ${result.channel}: 周报已发送`)
+							: chalk.red(`❌ ${result.channel}: ${result.error}`)
+					);
+				});
 			} else if (command === '--run-now') {
 				// 立即执行一次签到任务
 				const parallel = args.includes('--parallel');
-				const platforms = args.filter((arg) => PLATFORM_CLASSES[arg]);
-				await scheduler.runNow({ parallel, platforms });
-			} else if (PLATFORM_CLASSES[command]) {
+				const platforms = args.filter(isTarget);
+				if (controlClient.isAvailable()) {
+					// 守护进程运行中时交给守护进程执行，避免同时打开两个浏览器
+					await controlClient.triggerRun({ parallel, platforms, retry });
+					console.log(chalk.green('✅ 已通知守护进程开始签到'));
+					console.log(
+						chalk.gray('使用 node src/index.js --last-results 查看执行结果')
+					);
+				} else {
+					await scheduler.runNow({ parallel, platforms, retry });
+				}
+			} else if (isTarget(command)) {
 				await autoSignIn.runSingle(command);
+				process.exitCode = autoSignIn.getExitCode();
 			} else {
 				logger.failure(`未知的命令或平台: ${command}`);
 				logger.info('使用 --help 查看帮助信息');
@@ -392,23 +1616,30 @@ ${chalk.yellow.bold('示例：')}
 		} else {
 			// 默认串行执行所有平台
 			await autoSignIn.runAll(false);
+			process.exitCode = autoSignIn.getExitCode();
 		}
 	} catch (error) {
 		logger.failure(`程序执行出错: ${error.message}`);
-		process.exit(1);
+		process.exit(EXIT_CODES.ERROR);
 	}
 }
 
-// 处理未捕获的异常
-process.on('unhandledRejection', (reason, promise) => {
-	logger.failure('未处理的Promise拒绝:', reason);
-	process.exit(1);
-});
+// 只在直接运行时启动程序，守护进程动态导入 AutoSignIn 时不执行
+if (
+	process.argv[1] &&
+	path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+	// 处理未捕获的异常
+	process.on('unhandledRejection', (reason, promise) => {
+		logger.failure('未处理的Promise拒绝:', reason);
+		process.exit(1);
+	});
 
-process.on('uncaughtException', (error) => {
-	logger.failure('未捕获的异常:', error);
-	process.exit(1);
-});
+	process.on('uncaughtException', (error) => {
+		logger.failure('未捕获的异常:', error);
+		process.exit(1);
+	});
 
-// 启动程序
-main();
+	// 启动程序
+	main();
+}
@@ -0,0 +1,40 @@
+import BaseNotifier from '../base/BaseNotifier.js';
+
+/**
+ * Bark（iOS 推送）通知渠道
+ */
+class BarkNotifier extends BaseNotifier {
+	constructor(channelConfig) {
+		super('bark', channelConfig);
+	}
+
+	/**
+	 * 检查渠道配置是否完整
+	 * @returns {boolean} 是否可用
+	 */
+	isConfigured() {
+		return !!this.getSetting('deviceKey', 'BARK_DEVICE_KEY');
+	}
+
+	/**
+	 * 发送通知
+	 * @param {Object} message - 通知消息
+	 */
+	async send(message) {
+		const server =
+			this.getSetting('server', 'BARK_SERVER') || 'https://api.day.app';
+
+		const data = await this.postJson(`${server}/push`, {
+			device_key: this.getSetting('deviceKey', 'BARK_DEVICE_KEY'),
+			title: message.title,
+			body: message.text,
+			group: this.channelConfig.group || 'auto-signin',
+		});
+
+		if (data.code !== 200) {
+			throw new Error(`Bark 返回错误: ${data.message || JSON.stringify(data)}`);
+		}
+	}
+}
+
+export default BarkNotifier;
@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import BaseNotifier from '../base/BaseNotifier.js';
+
+/**
+ * 钉钉群机器人通知渠道
+ */
+class DingTalkNotifier extends BaseNotifier {
+	constructor(channelConfig) {
+		super('dingtalk', channelConfig);
+	}
+
+	/**
+	 * 检查渠道配置是否完整
+	 * @returns {boolean} 是否可用
+	 */
+	isConfigured() {
+		return !!this.getSetting('webhook', 'DINGTALK_WEBHOOK');
+	}
+
+	/**
+	 * 获取带签名的 webhook 地址
+	 * @returns {string} webhook 地址
+	 */
+	getWebhookUrl() {
+		const webhook = this.getSetting('webhook', 'DINGTALK_WEBHOOK');
+		const secret = this.getSetting('secret', 'DINGTALK_SECRET');
+		if (!secret) {
+			return webhook;
+		}
+
+		// 加签方式：HmacSHA256(timestamp + "\n" + secret)
+		const timestamp = Date.now();
+		const sign = crypto
+			.createHmac('sha256', secret)
+			.update(`${timestamp}\n${secret}`)
+			.digest('base64');
+
+		const url = new URL(webhook);
+		url.searchParams.set('timestamp', timestamp);
+		url.searchParams.set('sign', sign);
+		return url.toString();
+	}
+
+	/**
+	 * 发送通知
+	 * @param {Object} message - 通知消息
+	 */
+	async send(message) {
+		const data = await this.postJson(this.getWebhookUrl(), {
+			msgtype: 'text',
+			text: { content: `${message.title}\n\n${message.text}` },
+		});
+
+		if (data.errcode !== 0) {
+			throw new Error(`钉钉返回错误: ${data.errmsg || JSON.stringify(data)}`);
+		}
+	}
+}
+
+export default DingTalkNotifier;
@@ -0,0 +1,252 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import BaseNotifier from '../base/BaseNotifier.js';
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {*} value - 原始内容
+ * @returns {string} 转义后的内容
+ */
+function escapeHtml(value) {
+	return String(value ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+const TABLE_STYLE =
+	'border-collapse:collapse;font-family:sans-serif;font-size:14px;';
+const CELL_STYLE = 'border:1px solid #ddd;padding:6px 10px;text-align:left;';
+
+/**
+ * 生成 HTML 表格
+ * @param {string[]} headers - 表头
+ * @param {Array<string[]>} rows - 数据行（已转义的 HTML）
+ * @returns {string} HTML
+ */
+function renderTable(headers, rows) {
+	const head = headers
+		.map((h) => `<th style="${CELL_STYLE}background:#f5f5f5;">${h}</th>`)
+		.join('');
+	const body = rows
+		.map(
+			(row) =>
+				`<tr>${row.map((cell) => `<td style="${CELL_STYLE}">${cell}</td>`).join('')}</tr>`
+		)
+		.join('');
+	return `<table style="${TABLE_STYLE}"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * SMTP 邮件通知渠道
+ * 发送 HTML + 纯文本的签到摘要，可附带失败截图
+ */
+class EmailNotifier extends BaseNotifier {
+	constructor(channelConfig) {
+		super('email', channelConfig);
+		this.smtp = channelConfig.smtp || {};
+	}
+
+	/**
+	 * 检查渠道配置是否完整
+	 * @returns {boolean} 是否可用
+	 */
+	isConfigured() {
+		return !!(this.getSmtpSetting('host', 'SMTP_HOST') && this.getRecipients());
+	}
+
+	/**
+	 * 读取 SMTP 配置项，未配置时从环境变量读取
+	 * @param {string} key - 配置项名称
+	 * @param {string} envName - 环境变量名称
+	 * @returns {string|undefined} 配置值
+	 */
+	getSmtpSetting(key, envName) {
+		return this.smtp[key] ?? process.env[envName];
+	}
+
+	/**
+	 * 获取收件人，配置中的 to 为空数组或空字符串时从环境变量 SMTP_TO 读取
+	 * @returns {string} 逗号分隔的收件人
+	 */
+	getRecipients() {
+		const configured = Array.isArray(this.channelConfig.to)
+			? this.channelConfig.to.filter(Boolean).join(', ')
+			: this.channelConfig.to;
+		return configured || process.env.SMTP_TO;
+	}
+
+	/**
+	 * 创建 SMTP 连接
+	 * @returns {Object} nodemailer transporter
+	 */
+	createTransport() {
+		const port = parseInt(this.getSmtpSetting('port', 'SMTP_PORT')) || 587;
+		const secure =
+			this.smtp.secure ?? (process.env.SMTP_SECURE === 'true' || port === 465);
+		const user = this.getSmtpSetting('user', 'SMTP_USER');
+		const pass = this.getSmtpSetting('pass', 'SMTP_PASS');
+
+		return nodemailer.createTransport({
+			host: this.getSmtpSetting('host', 'SMTP_HOST'),
+			port,
+			secure,
+			// 非 SSL 端口默认强制 STARTTLS，本地测试服务可以设置 starttls: false
+			requireTLS: !secure && this.smtp.starttls !== false,
+			ignoreTLS: !secure && this.smtp.starttls === false,
+			auth: user ? { user, pass } : undefined,
+			tls: { rejectUnauthorized: this.smtp.rejectUnauthorized !== false },
+		});
+	}
+
+	/**
+	 * 发送通知
+	 * @param {Object} message - 通知消息
+	 * @param {Object} message.run - 执行记录（签到结果通知）
+	 * @param {Object} message.digest - 周报数据（周报通知）
+	 * @param {Object} message.image - 图片 { filename, content }，嵌入邮件正文
+	 */
+	async send(message) {
+		let html;
+		let attachments = [];
+
+		if (message.run) {
+			html = this.renderRunHtml(message.run);
+			attachments = this.collectScreenshots(message.run);
+		} else if (message.digest) {
+			html = this.renderDigestHtml(message.digest);
+		} else {
+			html = `<pre style="font-family:sans-serif;">${escapeHtml(
+				message.text
+			)}</pre>`;
+		}
+
+		if (message.image) {
+			html += '<p><img src="cid:message-image" alt="" /></p>';
+			attachments.push({ ...message.image, cid: 'message-image' });
+		}
+
+		const transporter = this.createTransport();
+		try {
+			await transporter.sendMail({
+				from:
+					this.getSmtpSetting('from', 'SMTP_FROM') ||
+					this.getSmtpSetting('user', 'SMTP_USER'),
+				to: this.getRecipients(),
+				subject: message.title,
+				text: message.text,
+				html,
+				attachments,
+			});
+		} finally {
+			transporter.close();
+		}
+	}
+
+	/**
+	 * 生成签到结果的 HTML 内容
+	 * @param {Object} run - 执行记录
+	 * @returns {string} HTML
+	 */
+	renderRunHtml(run) {
+		const successCount = run.results.filter((r) => r.success).length;
+		const failedResults = run.results.filter((r) => !r.success);
+
+		const summary = renderTable(
+			['总计', '成功', '失败', '耗时', '成功率'],
+			[
+				[
+					`${run.results.length} 个平台`,
+					`${successCount} 个`,
+					`${failedResults.length} 个`,
+					`${Math.round(run.duration / 1000)} 秒`,
+					`${Math.round((successCount / run.results.length) * 100)}%`,
+				],
+			]
+		);
+
+		const details = renderTable(
+			['平台', '状态', '消息', '尝试', '时间'],
+			run.results.map((result) => [
+				escapeHtml(result.displayName),
+				result.success
+					? '<span style="color:#2e7d32;">✅ 成功</span>'
+					: '<span style="color:#c62828;">❌ 失败</span>',
+				escapeHtml(result.message),
+				`${result.attempts ? result.attempts.length : 1} 次`,
+				escapeHtml(new Date(result.timestamp).toLocaleString('zh-CN')),
+			])
+		);
+
+		let html = `<h3>📊 统计信息</h3>${summary}<h3>📋 详细结果</h3>${details}`;
+
+		if (failedResults.length > 0) {
+			const items = failedResults
+				.map(
+					(result) =>
+						`<li><b>${escapeHtml(result.displayName)}</b>: ${escapeHtml(
+							result.error || result.message
+						)}${
+							result.failureReason
+								? ` <code>${escapeHtml(result.failureReason)}</code>`
+								: ''
+						}${result.retryable === false ? '（需要人工处理）' : ''}</li>`
+				)
+				.join('');
+			html += `<h3>❗ 失败详情</h3><ul>${items}</ul>`;
+		}
+
+		return `${html}<p style="color:#888;font-size:12px;">执行ID: ${escapeHtml(
+			run.runId
+		)}</p>`;
+	}
+
+	/**
+	 * 生成周报的 HTML 内容
+	 * @param {Object} digest - 周报数据
+	 * @returns {string} HTML
+	 */
+	renderDigestHtml(digest) {
+		const table = renderTable(
+			['平台', '执行次数', '成功次数', '成功率', '签到天数', '当前连续'],
+			digest.stats.map((stat) => [
+				escapeHtml(stat.displayName),
+				stat.total,
+				stat.success,
+				`${stat.successRate}%`,
+				`${stat.successDays}/${digest.days} 天`,
+				`${stat.currentStreak} 天`,
+			])
+		);
+		return `<h3>📅 最近 ${digest.days} 天签到统计</h3>${table}`;
+	}
+
+	/**
+	 * 收集失败平台的截图作为附件
+	 * @param {Object} run - 执行记录
+	 * @returns {Array} nodemailer 附件
+	 */
+	collectScreenshots(run) {
+		if (!this.channelConfig.attachScreenshots) {
+			return [];
+		}
+
+		return run.results
+			.filter(
+				(result) =>
+					!result.success &&
+					result.artifacts?.screenshot &&
+					fs.existsSync(result.artifacts.screenshot)
+			)
+			.map((result) => ({
+				filename: `${result.platform}-${path.basename(
+					result.artifacts.screenshot
+				)}`,
+				path: result.artifacts.screenshot,
+			}));
+	}
+}
+
+export default EmailNotifier;
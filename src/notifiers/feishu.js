@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import BaseNotifier from '../base/BaseNotifier.js';
+
+/**
+ * 飞书群机器人通知渠道
+ */
+class FeishuNotifier extends BaseNotifier {
+	constructor(channelConfig) {
+		super('feishu', channelConfig);
+	}
+
+	/**
+	 * 检查渠道配置是否完整
+	 * @returns {boolean} 是否可用
+	 */
+	isConfigured() {
+		return !!this.getSetting('webhook', 'FEISHU_WEBHOOK');
+	}
+
+	/**
+	 * 发送通知
+	 * @param {Object} message - 通知消息
+	 */
+	async send(message) {
+		const body = {
+			msg_type: 'text',
+			content: { text: `${message.title}\n\n${message.text}` },
+		};
+
+		// 签名校验：以 timestamp + "\n" + secret 为密钥对空字符串做 HmacSHA256
+		const secret = this.getSetting('secret', 'FEISHU_SECRET');
+		if (secret) {
+			const timestamp = Math.floor(Date.now() / 1000).toString();
+			body.timestamp = timestamp;
+			body.sign = crypto
+				.createHmac('sha256', `${timestamp}\n${secret}`)
+				.update('')
+				.digest('base64');
+		}
+
+		const data = await this.postJson(
+			this.getSetting('webhook', 'FEISHU_WEBHOOK'),
+			body
+		);
+
+		const code = data.code ?? data.StatusCode;
+		if (code !== 0) {
+			throw new Error(`飞书返回错误: ${data.msg || JSON.stringify(data)}`);
+		}
+	}
+}
+
+export default FeishuNotifier;
@@ -0,0 +1,275 @@
+import logger from '../utils/logger.js';
+import notifyConfig from '../utils/notifyConfig.js';
+import scheduleConfig from '../utils/scheduleConfig.js';
+import history from '../utils/history.js';
+import DingTalkNotifier from './dingtalk.js';
+import FeishuNotifier from './feishu.js';
+import WeComNotifier from './wecom.js';
+import TelegramNotifier from './telegram.js';
+import BarkNotifier from './bark.js';
+import ServerChanNotifier from './serverchan.js';
+import EmailNotifier from './email.js';
+
+/**
+ * 通知渠道类映射
+ */
+const NOTIFIER_CLASSES = {
+	dingtalk: DingTalkNotifier,
+	feishu: FeishuNotifier,
+	wecom: WeComNotifier,
+	telegram: TelegramNotifier,
+	bark: BarkNotifier,
+	serverchan: ServerChanNotifier,
+	email: EmailNotifier,
+};
+
+const TRIGGER_NAMES = { cron: '定时任务', manual: '手动执行', cli: '命令行' };
+
+/**
+ * 通知管理器
+ * 根据 config/notify.json 将签到结果发送到各个通知渠道
+ */
+class NotifyManager {
+	/**
+	 * 创建所有已启用且配置完整的通知渠道
+	 * @returns {BaseNotifier[]} 通知渠道实例
+	 */
+	getNotifiers() {
+		const notifiers = [];
+
+		for (const channelConfig of notifyConfig.getChannels()) {
+			const NotifierClass = NOTIFIER_CLASSES[channelConfig.type];
+			if (!NotifierClass) {
+				logger.warn(`未知的通知渠道类型: ${channelConfig.type}`);
+				continue;
+			}
+
+			const notifier = new NotifierClass(channelConfig);
+			if (!notifier.isConfigured()) {
+				logger.warn(`通知渠道 ${notifier.displayName} 配置不完整，已跳过`);
+				continue;
+			}
+
+			notifiers.push(notifier);
+		}
+
+		return notifiers;
+	}
+
+	/**
+	 * 渲染模板，将 {{name}} 替换为对应变量
+	 * @param {string} template - 模板
+	 * @param {Object} variables - 模板变量
+	 * @returns {string} 渲染结果
+	 */
+	render(template, variables) {
+		return template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+			variables[name] !== undefined ? String(variables[name]) : match
+		);
+	}
+
+	/**
+	 * 根据执行记录生成模板变量
+	 * @param {Object} run - 执行记录
+	 * @returns {Object} 模板变量
+	 */
+	buildRunVariables(run) {
+		const success = run.results.filter((r) => r.success).length;
+		const failed = run.results.length - success;
+
+		const details = run.results
+			.map((result) => {
+				const icon = result.success ? '✅' : '❌';
+				const detail = result.success
+					? result.message
+					: result.error || result.message;
+				const attempts =
+					result.attempts && result.attempts.length > 1
+						? ` (尝试 ${result.attempts.length} 次)`
+						: '';
+				// 不可重试的失败需要人工处理，附上错误代码便于排查
+				const action =
+					!result.success && result.retryable === false
+						? ` [${result.failureReason}，需要人工处理]`
+						: '';
+				return `${icon} ${result.displayName}: ${detail}${attempts}${action}`;
+			})
+			.join('\n');
+		const actionRequired = run.results.filter(
+			(r) => !r.success && r.retryable === false
+		).length;
+
+		return {
+			statusIcon: failed > 0 ? '❌' : '✅',
+			total: run.results.length,
+			success,
+			failed,
+			actionRequired,
+			duration: Math.round(run.duration / 1000),
+			time: new Date().toLocaleString('zh-CN', {
+				timeZone: scheduleConfig.getTimezone(),
+			}),
+			trigger: TRIGGER_NAMES[run.trigger] || run.trigger,
+			runId: run.runId,
+			details,
+		};
+	}
+
+	/**
+	 * 发送签到结果通知
+	 * @param {Object} run - 执行记录，包含 runId、trigger、duration、results
+	 */
+	async notifyRun(run) {
+		if (!notifyConfig.isEnabled() || run.results.length === 0) {
+			return [];
+		}
+
+		const variables = this.buildRunVariables(run);
+		const defaultTemplates = notifyConfig.getTemplates();
+
+		return this.dispatch(
+			(notifier) => {
+				const templates = {
+					...defaultTemplates,
+					...notifier.channelConfig.templates,
+				};
+				return {
+					title: this.render(templates.title, variables),
+					text: this.render(templates.body, variables),
+					isFailure: variables.failed > 0,
+					run,
+				};
+			},
+			variables.failed > 0
+		);
+	}
+
+	/**
+	 * 发送签到周报，汇总最近一段时间每个平台的成功率
+	 * @param {number} days - 统计最近多少天，默认使用 notify.json 中 digest.days
+	 */
+	async notifyDigest(days) {
+		const digestConfig = notifyConfig.getDigestConfig();
+		const digestDays = days || digestConfig.days;
+		const stats = history.getPlatformStats(digestDays);
+
+		const text =
+			stats.length > 0
+				? stats
+						.map(
+							(stat) =>
+								`${stat.displayName}: 成功率 ${stat.successRate}% (${stat.success}/${stat.total})，签到 ${stat.successDays}/${digestDays} 天，当前连续 ${stat.currentStreak} 天`
+						)
+						.join('\n')
+				: '没有签到记录';
+
+		return this.dispatch(
+			() => ({
+				title: `📅 自动签到周报（最近 ${digestDays} 天）`,
+				text,
+				isFailure: false,
+				digest: { days: digestDays, stats },
+			}),
+			false,
+			{ channels: digestConfig.channels, ignorePolicy: true }
+		);
+	}
+
+	/**
+	 * 登录状态刷新失败时发送提醒
+	 * @param {Array} results - 刷新结果
+	 * @param {string} nextSignIn - 下次签到时间（格式化后的字符串）
+	 */
+	async notifySessionRefresh(results, nextSignIn) {
+		const failed = results.filter((result) => !result.success && !result.skipped);
+		if (failed.length === 0) {
+			return [];
+		}
+
+		const details = failed
+			.map((result) => `❌ ${result.displayName}: ${result.message}`)
+			.join('\n');
+		const when = nextSignIn ? `下次签到（${nextSignIn}）` : '下次签到';
+
+		return this.notify({
+			title: `⚠️ ${failed.length} 个平台的登录状态已失效`,
+			text: `${details}\n\n${when}将需要重新登录，可能触发验证码。建议提前手动登录。`,
+			isFailure: true,
+		});
+	}
+
+	/**
+	 * 扫码登录时推送二维码，便于在手机上查看
+	 * 邮件渠道附带二维码图片，其他渠道发送二维码内容
+	 * @param {string} displayName - 平台显示名称
+	 * @param {Object} qrCode - 二维码
+	 * @param {string} qrCode.content - 二维码内容
+	 * @param {Buffer} qrCode.image - 二维码 PNG 图片
+	 * @param {number} qrCode.timeout - 等待扫码的时间（毫秒）
+	 */
+	async notifyLoginQrCode(displayName, qrCode) {
+		return this.notify({
+			title: `📱 ${displayName} 需要扫码登录`,
+			text: `请在 ${Math.round(
+				qrCode.timeout / 1000
+			)} 秒内使用 ${displayName} App 扫码登录。\n\n二维码内容: ${qrCode.content}`,
+			isFailure: true,
+			image: { filename: 'login-qrcode.png', content: qrCode.image },
+		});
+	}
+
+	/**
+	 * 发送自定义通知
+	 * @param {Object} message - 通知消息
+	 * @param {string} message.title - 标题
+	 * @param {string} message.text - 正文
+	 * @param {boolean} message.isFailure - 是否为失败通知（影响 on-failure 策略）
+	 * @param {Object} message.image - 图片 { filename, content }，支持的渠道会附带发送
+	 */
+	async notify(message) {
+		if (!notifyConfig.isEnabled()) {
+			return [];
+		}
+
+		return this.dispatch(() => message, !!message.isFailure);
+	}
+
+	/**
+	 * 将消息分发到所有符合策略的渠道，单个渠道失败不影响其他渠道
+	 * @param {Function} buildMessage - 根据渠道生成消息
+	 * @param {boolean} isFailure - 是否为失败通知
+	 * @param {Object} options - 分发选项
+	 * @param {string[]} options.channels - 只发送到这些类型的渠道
+	 * @param {boolean} options.ignorePolicy - 忽略渠道的发送策略
+	 * @returns {Array} 每个渠道的发送结果
+	 */
+	async dispatch(buildMessage, isFailure, options = {}) {
+		const { channels, ignorePolicy = false } = options;
+		const notifiers = this.getNotifiers().filter(
+			(notifier) =>
+				(!channels || channels.includes(notifier.channelName)) &&
+				(ignorePolicy || notifier.shouldNotify({ isFailure }))
+		);
+
+		return Promise.all(
+			notifiers.map(async (notifier) => {
+				try {
+					await notifier.send(buildMessage(notifier));
+					logger.info(`通知已发送: ${notifier.displayName}`);
+					return { channel: notifier.displayName, success: true };
+				} catch (error) {
+					logger.warn(
+						`通知发送失败 (${notifier.displayName}): ${error.message}`
+					);
+					return {
+						channel: notifier.displayName,
+						success: false,
+						error: error.message,
+					};
+				}
+			})
+		);
+	}
+}
+
+export default new NotifyManager();
@@ -0,0 +1,43 @@
+import BaseNotifier from '../base/BaseNotifier.js';
+
+/**
+ * Server酱（微信推送）通知渠道
+ */
+class ServerChanNotifier extends BaseNotifier {
+	constructor(channelConfig) {
+		super('serverchan', channelConfig);
+	}
+
+	/**
+	 * 检查渠道配置是否完整
+	 * @returns {boolean} 是否可用
+	 */
+	isConfigured() {
+		return !!this.getSetting('sendKey', 'SERVERCHAN_SENDKEY');
+	}
+
+	/**
+	 * 发送通知
+	 * @param {Object} message - 通知消息
+	 */
+	async send(message) {
+		const apiBase =
+			this.getSetting('apiBase', 'SERVERCHAN_API_BASE') ||
+			'https://sctapi.ftqq.com';
+		const sendKey = this.getSetting('sendKey', 'SERVERCHAN_SENDKEY');
+
+		// Server酱的正文支持 Markdown，换行需要两个换行符
+		const data = await this.postForm(`${apiBase}/${sendKey}.send`, {
+			title: message.title,
+			desp: message.text.replace(/\n/g, '\n\n'),
+		});
+
+		if (data.code !== 0) {
+			throw new Error(
+				`Server酱返回错误: ${data.message || JSON.stringify(data)}`
+			);
+		}
+	}
+}
+
+export default ServerChanNotifier;
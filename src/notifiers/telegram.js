@@ -0,0 +1,46 @@
+import BaseNotifier from '../base/BaseNotifier.js';
+
+/**
+ * Telegram Bot 通知渠道
+ */
+class TelegramNotifier extends BaseNotifier {
+	constructor(channelConfig) {
+		super('telegram', channelConfig);
+	}
+
+	/**
+	 * 检查渠道配置是否完整
+	 * @returns {boolean} 是否可用
+	 */
+	isConfigured() {
+		return !!(
+			this.getSetting('botToken', 'TELEGRAM_BOT_TOKEN') &&
+			this.getSetting('chatId', 'TELEGRAM_CHAT_ID')
+		);
+	}
+
+	/**
+	 * 发送通知
+	 * @param {Object} message - 通知消息
+	 */
+	async send(message) {
+		const apiBase =
+			this.getSetting('apiBase', 'TELEGRAM_API_BASE') ||
+			'https://api.telegram.org';
+		const botToken = this.getSetting('botToken', 'TELEGRAM_BOT_TOKEN');
+
+		const data = await this.postJson(`${apiBase}/bot${botToken}/sendMessage`, {
+			chat_id: this.getSetting('chatId', 'TELEGRAM_CHAT_ID'),
+			text: `${message.title}\n\n${message.text}`,
+			disable_web_page_preview: true,
+		});
+
+		if (!data.ok) {
+			throw new Error(
+				`Telegram 返回错误: ${data.description || JSON.stringify(data)}`
+			);
+		}
+	}
+}
+
+export default TelegramNotifier;
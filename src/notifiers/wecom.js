@@ -0,0 +1,40 @@
+import BaseNotifier from '../base/BaseNotifier.js';
+
+/**
+ * 企业微信群机器人通知渠道
+ */
+class WeComNotifier extends BaseNotifier {
+	constructor(channelConfig) {
+		super('wecom', channelConfig);
+	}
+
+	/**
+	 * 检查渠道配置是否完整
+	 * @returns {boolean} 是否可用
+	 */
+	isConfigured() {
+		return !!this.getSetting('webhook', 'WECOM_WEBHOOK');
+	}
+
+	/**
+	 * 发送通知
+	 * @param {Object} message - 通知消息
+	 */
+	async send(message) {
+		const data = await this.postJson(
+			this.getSetting('webhook', 'WECOM_WEBHOOK'),
+			{
+				msgtype: 'text',
+				text: { content: `${message.title}\n\n${message.text}` },
+			}
+		);
+
+		if (data.errcode !== 0) {
+			throw new Error(
+				`企业微信返回错误: ${data.errmsg || JSON.stringify(data)}`
+			);
+		}
+	}
+}
+
+export default WeComNotifier;
@@ -0,0 +1,78 @@
+import ApiSignIn from '../../base/ApiSignIn.js';
+import logger from '../../utils/logger.js';
+import { SIGNIN_STATUS, createOutcome } from '../../utils/signInResult.js';
+import { SessionExpiredError } from '../../utils/errors.js';
+
+// 与浏览器模式的任务中心页面（/v/task/draw）同源
+const API_BASE = 'https://www.bilibili.com';
+
+// 默认接口路径，可以通过 platforms.json 中的 api.endpoints 覆盖
+// nav 不在 www 域名下，使用完整地址
+const ENDPOINTS = {
+	nav: 'https://api.bilibili.com/x/web-interface/nav',
+	reward: '/x/task/reward',
+};
+
+/**
+ * B站 API 签到实现类（任务中心领取奖励）
+ * 与浏览器模式签到的是同一个任务：浏览器模式在找不到签到按钮时同样调用 /x/task/reward
+ */
+class BilibiliApiSignIn extends ApiSignIn {
+	constructor(account = null) {
+		super('bilibili', account, { baseUrl: API_BASE, endpoints: ENDPOINTS });
+	}
+
+	/**
+	 * 检查登录状态是否有效
+	 * @returns {boolean} 是否已登录
+	 */
+	async isLoggedIn() {
+		const response = await this.request(this.getEndpoint('nav'));
+		return response.code === 0 && !!response.data?.isLogin;
+	}
+
+	/**
+	 * 检查今天是否已经签到
+	 * 任务中心没有单独的查询接口，重复领取时由领奖接口返回提示
+	 * @returns {boolean} 是否已签到
+	 */
+	async isSignedToday() {
+		return false;
+	}
+
+	/**
+	 * 调用任务中心领奖接口，登录状态中的 bili_jct Cookie 作为 csrf 参数
+	 * @returns {Object} 签到结果
+	 */
+	async signIn() {
+		const csrf = this.getCookie('bili_jct');
+		if (!csrf) {
+			throw new SessionExpiredError(
+				'登录状态中没有 bili_jct Cookie，无法提交签到，请重新登录'
+			);
+		}
+
+		const response = await this.request(this.getEndpoint('reward'), {
+			method: 'POST',
+			form: { csrf },
+		});
+
+		if (response.code === 0) {
+			logger.info(
+				`${this.platformConfig.displayName} - 签到成功${
+					response.message && response.message !== '0'
+						? `: ${response.message}`
+						: ''
+				}`
+			);
+			return createOutcome(SIGNIN_STATUS.SIGNED);
+		}
+
+		logger.error(
+			`${this.platformConfig.displayName} - 签到失败: ${response.message}`
+		);
+		return createOutcome(SIGNIN_STATUS.FAILED, { message: response.message });
+	}
+}
+
+export default BilibiliApiSignIn;
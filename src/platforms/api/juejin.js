@@ -0,0 +1,97 @@
+import ApiSignIn from '../../base/ApiSignIn.js';
+import logger from '../../utils/logger.js';
+import { SIGNIN_STATUS, createOutcome } from '../../utils/signInResult.js';
+
+export const API_BASE = 'https://api.juejin.cn';
+// 掘金网页版的应用 ID
+export const AID = 2608;
+
+// 默认接口路径，可以通过 platforms.json 中的 api.endpoints 覆盖
+const ENDPOINTS = {
+	user: '/user_api/v1/user/get',
+	todayStatus: '/growth_api/v1/get_today_status',
+	counts: '/growth_api/v1/get_counts',
+	checkIn: '/growth_api/v1/check_in',
+};
+
+// 重复签到时 check_in 返回的错误码
+const ERR_ALREADY_SIGNED = 15001;
+
+/**
+ * 掘金 API 签到实现类
+ */
+class JuejinApiSignIn extends ApiSignIn {
+	constructor(account = null) {
+		super('juejin', account, { baseUrl: API_BASE, endpoints: ENDPOINTS });
+	}
+
+	/**
+	 * 检查登录状态是否有效
+	 * @returns {boolean} 是否已登录
+	 */
+	async isLoggedIn() {
+		const response = await this.request(
+			`${this.getEndpoint('user')}?aid=${AID}&not_self=0`
+		);
+		return response.err_no === 0 && !!response.data;
+	}
+
+	/**
+	 * 检查今天是否已经签到
+	 * @returns {boolean} 是否已签到
+	 */
+	async isSignedToday() {
+		const response = await this.request(
+			`${this.getEndpoint('todayStatus')}?aid=${AID}`
+		);
+		if (response.err_no !== 0) {
+			throw new Error(`查询签到状态失败: ${response.err_msg}`);
+		}
+		return response.data === true;
+	}
+
+	/**
+	 * 查询连续签到天数
+	 * @returns {number|null} 连续签到天数
+	 */
+	async getStreak() {
+		const response = await this.request(
+			`${this.getEndpoint('counts')}?aid=${AID}`
+		);
+		return response.err_no === 0 ? response.data.cont_count : null;
+	}
+
+	/**
+	 * 调用签到接口
+	 * @returns {Object} 签到结果
+	 */
+	async signIn() {
+		const response = await this.request(
+			`${this.getEndpoint('checkIn')}?aid=${AID}`,
+			{ method: 'POST', body: {} }
+		);
+
+		if (response.err_no === 0) {
+			logger.info(
+				`${this.platformConfig.displayName} - 签到成功，获得 ${response.data.incr_point} 矿石，当前 ${response.data.sum_point} 矿石`
+			);
+			return createOutcome(SIGNIN_STATUS.SIGNED, {
+				reward: `${response.data.incr_point} 矿石`,
+				streak: await this.getStreak(),
+			});
+		}
+		if (response.err_no === ERR_ALREADY_SIGNED) {
+			logger.info(`${this.platformConfig.displayName} - 今日已签到`);
+			return createOutcome(SIGNIN_STATUS.ALREADY_SIGNED, {
+				streak: await this.getStreak(),
+			});
+		}
+
+		logger.error(
+			`${this.platformConfig.displayName} - 签到失败: ${response.err_msg}`
+		);
+		return createOutcome(SIGNIN_STATUS.FAILED, { message: response.err_msg });
+	}
+}
+
+export default JuejinApiSignIn;
@@ -1,12 +1,14 @@
 import BaseSignIn from '../base/BaseSignIn.js';
 import logger from '../utils/logger.js';
+import { SIGNIN_STATUS, createOutcome } from '../utils/signInResult.js';
+import { LoginRejectedError, SelectorNotFoundError } from '../utils/errors.js';
 
 /**
  * B站签到实现类
  */
 class BilibiliSignIn extends BaseSignIn {
-	constructor() {
-		super('bilibili');
+	constructor(account = null) {
+		super('bilibili', account);
 	}
 
 	/**
@@ -19,13 +21,13 @@ class BilibiliSignIn extends BaseSignIn {
 			await this.page.waitForTimeout(2000);
 
 			// 检查是否存在用户头像或用户信息
-			const userAvatar = await this.page.$(
+			const userAvatar = await this.findElement(
 				this.platformConfig.selectors.userAvatar
 			);
-			const userInfo = await this.page.$(
+			const userInfo = await this.findElement(
 				this.platformConfig.selectors.userInfo
 			);
-			const loginStatus = await this.page.$(
+			const loginStatus = await this.findElement(
 				this.platformConfig.selectors.loginButton
 			);
 
@@ -66,7 +68,7 @@ class BilibiliSignIn extends BaseSignIn {
 
 			// 选择密码登录
 			const passwordTab = this.platformConfig.selectors.loginTabPassword;
-			const passwordLoginTab = await this.page.$(passwordTab);
+			const passwordLoginTab = await this.findElement(passwordTab);
 			if (passwordLoginTab) {
 				await passwordLoginTab.click();
 				await this.page.waitForTimeout(1000);
@@ -81,7 +83,12 @@ class BilibiliSignIn extends BaseSignIn {
 
 			if (!usernameInput) {
 				logger.error(`${this.platformConfig.displayName} - 找不到用户名输入框`);
-				return false;
+				return this.fail(
+					new SelectorNotFoundError(
+						'找不到用户名输入框',
+						this.platformConfig.selectors.usernameInput
+					)
+				);
 			}
 
 			// 输入密码
@@ -92,7 +99,12 @@ class BilibiliSignIn extends BaseSignIn {
 
 			if (!passwordInput) {
 				logger.error(`${this.platformConfig.displayName} - 找不到密码输入框`);
-				return false;
+				return this.fail(
+					new SelectorNotFoundError(
+						'找不到密码输入框',
+						this.platformConfig.selectors.passwordInput
+					)
+				);
 			}
 
 			// 点击登录按钮
@@ -101,22 +113,25 @@ class BilibiliSignIn extends BaseSignIn {
 			);
 			if (!loginSubmit) {
 				logger.error(`${this.platformConfig.displayName} - 找不到登录提交按钮`);
-				return false;
+				return this.fail(
+					new SelectorNotFoundError(
+						'找不到登录提交按钮',
+						this.platformConfig.selectors.submitButton
+					)
+				);
 			}
 
 			// 等待登录完成
 			await this.page.waitForTimeout(5000);
 
 			// 检查是否需要验证码或其他验证
-			const captcha = await this.page.$(
-				'.geetest_canvas_img, .captcha, .verify-form'
-			);
-			if (captcha) {
-				logger.warn(
-					`${this.platformConfig.displayName} - 需要验证码，请手动处理`
-				);
-				// 等待用户手动处理验证码
-				await this.page.waitForTimeout(30000);
+			if (!(await this.handleCaptcha())) {
+				return false;
+			}
+
+			// 检查是否需要短信验证码
+			if (!(await this.handleVerificationCode())) {
+				return false;
 			}
 
 			// 检查是否登录成功
@@ -131,15 +146,14 @@ class BilibiliSignIn extends BaseSignIn {
 					'.error-msg, .login-error, .error-tip'
 				);
 				if (errorMsg) {
-					const errorText = await errorMsg.textContent();
+					// 页面给出了错误提示（如密码错误），重试也不会成功
+					const errorText = (await errorMsg.textContent()).trim();
 					logger.error(
 						`${this.platformConfig.displayName} - 登录失败: ${errorText}`
 					);
-				} else {
-					logger.error(
-						`${this.platformConfig.displayName} - 登录失败，未知原因`
-					);
+					return this.fail(new LoginRejectedError(errorText));
 				}
+				logger.error(`${this.platformConfig.displayName} - 登录失败，未知原因`);
 				return false;
 			}
 		} catch (error) {
@@ -152,7 +166,7 @@ class BilibiliSignIn extends BaseSignIn {
 
 	/**
 	 * 执行签到
-	 * @returns {boolean} 签到是否成功
+	 * @returns {Object} 签到结果
 	 */
 	async signIn() {
 		try {
@@ -166,16 +180,16 @@ class BilibiliSignIn extends BaseSignIn {
 			await this.page.waitForTimeout(3000);
 
 			// 检查是否已经签到
-			const alreadySignedIn = await this.page.$(
+			const alreadySignedIn = await this.findElement(
 				this.platformConfig.selectors.signedInIndicator
 			);
 			if (alreadySignedIn) {
 				logger.info(`${this.platformConfig.displayName} - 今日已签到`);
-				return true;
+				return createOutcome(SIGNIN_STATUS.ALREADY_SIGNED);
 			}
 
 			// 查找签到按钮
-			let signInButton = await this.page.$(
+			let signInButton = await this.findElement(
 				this.platformConfig.selectors.signInButton
 			);
 
@@ -202,7 +216,7 @@ class BilibiliSignIn extends BaseSignIn {
 
 					if (response && response.code === 0) {
 						logger.info(`${this.platformConfig.displayName} - 通过API签到成功`);
-						return true;
+						return createOutcome(SIGNIN_STATUS.SIGNED);
 					}
 				} catch (apiError) {
 					logger.warn(
@@ -210,7 +224,15 @@ class BilibiliSignIn extends BaseSignIn {
 					);
 				}
 
-				return false;
+				this.fail(
+					new SelectorNotFoundError(
+						'找不到签到按钮',
+						this.platformConfig.selectors.signInButton
+					)
+				);
+				return createOutcome(SIGNIN_STATUS.FAILED, {
+					message: '找不到签到按钮',
+				});
 			}
 
 			// 点击签到按钮
@@ -220,36 +242,38 @@ class BilibiliSignIn extends BaseSignIn {
 			await this.page.waitForTimeout(3000);
 
 			// 检查签到结果
-			const signInSuccess = await this.page.$(
+			const signInSuccess = await this.findElement(
 				this.platformConfig.selectors.signedInIndicator
 			);
 			const signInMessage = await this.page.$('.task-msg, .result-msg');
 
 			if (signInSuccess || signInMessage) {
+				let messageText = null;
 				if (signInMessage) {
-					const messageText = await signInMessage.textContent();
+					messageText = (await signInMessage.textContent()).trim();
 					logger.info(
 						`${this.platformConfig.displayName} - 签到结果: ${messageText}`
 					);
 				}
-				return true;
+				return createOutcome(SIGNIN_STATUS.SIGNED, { message: messageText });
 			}
 
 			// 检查是否有错误提示
 			const errorMsg = await this.page.$('.error-msg, .task-error');
+			let errorText = null;
 			if (errorMsg) {
-				const errorText = await errorMsg.textContent();
+				errorText = await errorMsg.textContent();
 				logger.error(
 					`${this.platformConfig.displayName} - 签到失败: ${errorText}`
 				);
 			}
 
-			return false;
+			return createOutcome(SIGNIN_STATUS.FAILED, { message: errorText });
 		} catch (error) {
 			logger.error(
 				`${this.platformConfig.displayName} - 签到过程出错: ${error.message}`
 			);
-			return false;
+			return createOutcome(SIGNIN_STATUS.FAILED, { message: error.message });
 		}
 	}
 }
@@ -1,12 +1,15 @@
 import BaseSignIn from '../base/BaseSignIn.js';
 import logger from '../utils/logger.js';
+import { SIGNIN_STATUS, createOutcome } from '../utils/signInResult.js';
+import { LoginRejectedError, SelectorNotFoundError } from '../utils/errors.js';
+import { API_BASE, AID } from './api/juejin.js';
 
 /**
  * 掘金签到实现类
  */
 class JuejinSignIn extends BaseSignIn {
-	constructor() {
-		super('juejin');
+	constructor(account = null) {
+		super('juejin', account);
 	}
 
 	/**
@@ -19,10 +22,10 @@ class JuejinSignIn extends BaseSignIn {
 			await this.page.waitForTimeout(2000);
 
 			// 使用配置中的选择器检查登录状态
-			const userAvatar = await this.page.$(
+			const userAvatar = await this.findElement(
 				this.platformConfig.selectors.userAvatar
 			);
-			const loginButton = await this.page.$(
+			const loginButton = await this.findElement(
 				this.platformConfig.selectors.loginButton
 			);
 
@@ -66,7 +69,7 @@ class JuejinSignIn extends BaseSignIn {
 
 			// 选择密码登录方式
 			const passwordTab = this.platformConfig.selectors.loginTabPassword;
-			const passwordLoginTab = await this.page.$(passwordTab);
+			const passwordLoginTab = await this.findElement(passwordTab);
 			if (passwordLoginTab) {
 				await passwordLoginTab.click();
 				await this.page.waitForTimeout(1000);
@@ -81,7 +84,12 @@ class JuejinSignIn extends BaseSignIn {
 
 			if (!usernameInput) {
 				logger.error(`${this.platformConfig.displayName} - 找不到用户名输入框`);
-				return false;
+				return this.fail(
+					new SelectorNotFoundError(
+						'找不到用户名输入框',
+						this.platformConfig.selectors.usernameInput
+					)
+				);
 			}
 
 			// 输入密码
@@ -92,7 +100,12 @@ class JuejinSignIn extends BaseSignIn {
 
 			if (!passwordInput) {
 				logger.error(`${this.platformConfig.displayName} - 找不到密码输入框`);
-				return false;
+				return this.fail(
+					new SelectorNotFoundError(
+						'找不到密码输入框',
+						this.platformConfig.selectors.passwordInput
+					)
+				);
 			}
 
 			// 点击登录按钮
@@ -101,12 +114,27 @@ class JuejinSignIn extends BaseSignIn {
 			);
 			if (!loginSubmit) {
 				logger.error(`${this.platformConfig.displayName} - 找不到登录提交按钮`);
-				return false;
+				return this.fail(
+					new SelectorNotFoundError(
+						'找不到登录提交按钮',
+						this.platformConfig.selectors.submitButton
+					)
+				);
 			}
 
 			// 等待登录完成
 			await this.page.waitForTimeout(2000);
 
+			// 检查是否需要滑块验证
+			if (!(await this.handleCaptcha())) {
+				return false;
+			}
+
+			// 检查是否需要短信验证码
+			if (!(await this.handleVerificationCode())) {
+				return false;
+			}
+
 			// 检查是否登录成功
 			const loginSuccess = await this.isLoggedIn();
 
@@ -119,15 +147,14 @@ class JuejinSignIn extends BaseSignIn {
 					'.error-msg, .login-error, .error-tip'
 				);
 				if (errorMsg) {
-					const errorText = await errorMsg.textContent();
+					// 页面给出了错误提示（如密码错误），重试也不会成功
+					const errorText = (await errorMsg.textContent()).trim();
 					logger.error(
 						`${this.platformConfig.displayName} - 登录失败: ${errorText}`
 					);
-				} else {
-					logger.error(
-						`${this.platformConfig.displayName} - 登录失败，未知原因`
-					);
+					return this.fail(new LoginRejectedError(errorText));
 				}
+				logger.error(`${this.platformConfig.displayName} - 登录失败，未知原因`);
 				return false;
 			}
 		} catch (error) {
@@ -138,9 +165,38 @@ class JuejinSignIn extends BaseSignIn {
 		}
 	}
 
+	/**
+	 * 通过掘金接口查询签到数据，请求携带浏览器中的登录 Cookie
+	 * @param {string} path - 接口路径
+	 * @returns {*} 接口返回的 data，请求失败时返回 null
+	 */
+	async fetchGrowthData(path) {
+		try {
+			const response = await this.page.request.get(
+				`${this.platformConfig.api?.baseUrl || API_BASE}/growth_api/v1/${path}?aid=${AID}`
+			);
+			const json = await response.json();
+			return json.err_no === 0 ? json.data : null;
+		} catch (error) {
+			logger.warn(
+				`${this.platformConfig.displayName} - 查询 ${path} 失败: ${error.message}`
+			);
+			return null;
+		}
+	}
+
+	/**
+	 * 查询连续签到天数
+	 * @returns {number|null} 连续签到天数
+	 */
+	async readStreak() {
+		const counts = await this.fetchGrowthData('get_counts');
+		return counts ? counts.cont_count : null;
+	}
+
 	/**
 	 * 执行签到
-	 * @returns {boolean} 签到是否成功
+	 * @returns {Object} 签到结果
 	 */
 	async signIn() {
 		try {
@@ -154,23 +210,36 @@ class JuejinSignIn extends BaseSignIn {
 			// await this.page.waitForTimeout(2000);
 
 			// 检查是否已经签到
-			const alreadySignedIn = await this.page.$(
+			const alreadySignedIn = await this.findElement(
 				this.platformConfig.selectors.signedInIndicator
 			);
 			if (alreadySignedIn) {
 				logger.info(`${this.platformConfig.displayName} - 今日已签到`);
-				return true;
+				return createOutcome(SIGNIN_STATUS.ALREADY_SIGNED, {
+					streak: await this.readStreak(),
+				});
 			}
 
 			// 查找签到按钮
-			const signInButton = await this.page.$(
+			const signInButton = await this.findElement(
 				this.platformConfig.selectors.signInButton
 			);
 			if (!signInButton) {
 				logger.warn(`${this.platformConfig.displayName} - 找不到签到按钮`);
-				return false;
+				this.fail(
+					new SelectorNotFoundError(
+						'找不到签到按钮',
+						this.platformConfig.selectors.signInButton
+					)
+				);
+				return createOutcome(SIGNIN_STATUS.FAILED, {
+					message: '找不到签到按钮',
+				});
 			}
 
+			// 记录签到前的矿石数，用于计算签到奖励
+			const pointsBefore = await this.fetchGrowthData('get_cur_point');
+
 			// 点击签到按钮
 			await signInButton.click();
 
@@ -180,30 +249,39 @@ class JuejinSignIn extends BaseSignIn {
 			await this.page.waitForTimeout(2000);
 
 			// 检查签到结果
-			const signInSuccess = await this.page.$(
+			const signInSuccess = await this.findElement(
 				this.platformConfig.selectors.signedInIndicator
 			);
 
 			if (signInSuccess) {
 				logger.info(`${this.platformConfig.displayName} - 签到成功`);
-				return true;
+				const pointsAfter = await this.fetchGrowthData('get_cur_point');
+				const gained =
+					typeof pointsBefore === 'number' && typeof pointsAfter === 'number'
+						? pointsAfter - pointsBefore
+						: 0;
+				return createOutcome(SIGNIN_STATUS.SIGNED, {
+					reward: gained > 0 ? `${gained} 矿石` : null,
+					streak: await this.readStreak(),
+				});
 			} else {
 				// 检查是否有错误提示
 				const errorMsg = await this.page.$('.error-msg, .sign-error');
+				let errorText = null;
 				if (errorMsg) {
-					const errorText = await errorMsg.textContent();
+					errorText = await errorMsg.textContent();
 					logger.error(
 						`${this.platformConfig.displayName} - 签到失败: ${errorText}`
 					);
 				}
 
-				return false;
+				return createOutcome(SIGNIN_STATUS.FAILED, { message: errorText });
 			}
 		} catch (error) {
 			logger.error(
 				`${this.platformConfig.displayName} - 签到过程出错: ${error.message}`
 			);
-			return false;
+			return createOutcome(SIGNIN_STATUS.FAILED, { message: error.message });
 		}
 	}
 }
@@ -0,0 +1,404 @@
+import http from 'http';
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import history from '../utils/history.js';
+import config from '../utils/config.js';
+import metrics from '../utils/metrics.js';
+import verificationCodes from '../utils/verificationCode.js';
+import chalk from 'chalk';
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+/**
+ * 守护进程控制接口
+ * 通过 HTTP 查看定时任务状态、触发签到、暂停/恢复定时任务
+ *
+ * 接口列表：
+ *   GET  /status                  守护进程和定时任务状态
+ *   GET  /next-runs?count=N       每个定时任务接下来 N 次执行时间
+ *   GET  /results/last            最近一次签到结果
+ *   POST /run                     立即签到，body: { platforms, parallel, retry }
+ *   POST /schedules/:name/pause   暂停定时任务
+ *   POST /schedules/:name/resume  恢复定时任务
+ *   POST /shutdown                停止守护进程
+ *   GET  /metrics                 Prometheus 指标
+ *   GET  /verification-code       正在等待登录验证码的平台
+ *   POST /verification-code       提交登录验证码，body: { platform, code }
+ */
+class ControlServer {
+	/**
+	 * @param {CronScheduler} scheduler - 定时任务管理器
+	 * @param {Object} options - 配置选项
+	 * @param {string} options.host - 监听地址
+	 * @param {number} options.port - 监听端口
+	 * @param {string} options.token - 访问令牌，为空时不校验
+	 * @param {Function} options.onShutdown - 收到停止请求时的回调
+	 */
+	constructor(scheduler, options = {}) {
+		this.scheduler = scheduler;
+		this.host = options.host || '127.0.0.1';
+		this.port = options.port ?? 8765;
+		this.token = options.token || '';
+		this.onShutdown = options.onShutdown;
+		this.startedAt = new Date();
+		this.server = null;
+		this.routes = [
+			['GET', /^\/status$/, (req, res) => this.handleStatus(req, res)],
+			['GET', /^\/next-runs$/, (req, res, url) => this.handleNextRuns(res, url)],
+			['GET', /^\/results\/last$/, (req, res) => this.handleLastResults(res)],
+			['POST', /^\/run$/, (req, res) => this.handleRun(req, res)],
+			[
+				'POST',
+				/^\/schedules\/([^/]+)\/(pause|resume)$/,
+				(req, res, url, match) => this.handleScheduleAction(res, match),
+			],
+			['POST', /^\/shutdown$/, (req, res) => this.handleShutdown(res)],
+			['GET', /^\/metrics$/, (req, res) => this.handleMetrics(res)],
+			[
+				'GET',
+				/^\/verification-code$/,
+				(req, res) => this.handleVerificationCodePending(res),
+			],
+			[
+				'POST',
+				/^\/verification-code$/,
+				(req, res) => this.handleVerificationCode(req, res),
+			],
+		];
+	}
+
+	/**
+	 * 启动 HTTP 服务
+	 * @returns {Promise<void>}
+	 */
+	start() {
+		if (!this.token && !LOOPBACK_HOSTS.includes(this.host)) {
+			logger.warning(
+				`控制接口监听在 ${this.host} 但未设置访问令牌，任何人都可以控制守护进程`
+			);
+		}
+
+		this.server = http.createServer((req, res) => {
+			this.handleRequest(req, res).catch((error) => {
+				logger.warn(`控制接口请求处理失败: ${error.message}`);
+				this.sendJson(res, error.statusCode || 500, { error: error.message });
+			});
+		});
+
+		return new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.listen(this.port, this.host, () => {
+				this.server.off('error', reject);
+				// 端口为 0 时使用系统分配的端口
+				this.port = this.server.address().port;
+				logger.info(
+					`控制接口已启动: ${chalk.cyan(`http://${this.formatHost()}:${this.port}`)}`
+				);
+				resolve();
+			});
+		});
+	}
+
+	/**
+	 * 停止 HTTP 服务
+	 */
+	stop() {
+		if (this.server) {
+			this.server.close();
+			this.server = null;
+		}
+	}
+
+	/**
+	 * 获取用于拼接 URL 的地址
+	 * @returns {string} 地址
+	 */
+	formatHost() {
+		return this.host.includes(':') ? `[${this.host}]` : this.host;
+	}
+
+	/**
+	 * 分发请求
+	 * @param {http.IncomingMessage} req - 请求
+	 * @param {http.ServerResponse} res - 响应
+	 */
+	async handleRequest(req, res) {
+		const url = new URL(req.url, 'http://localhost');
+
+		if (!this.isAuthorized(req)) {
+			this.sendJson(res, 401, { error: '未授权，请提供正确的访问令牌' });
+			return;
+		}
+
+		const matched = this.routes
+			.map(([method, pattern, handler]) => ({
+				method,
+				handler,
+				match: url.pathname.match(pattern),
+			}))
+			.filter((route) => route.match);
+
+		if (matched.length === 0) {
+			this.sendJson(res, 404, { error: `未知的接口: ${url.pathname}` });
+			return;
+		}
+
+		const route = matched.find((r) => r.method === req.method);
+		if (!route) {
+			this.sendJson(res, 405, { error: `不支持的请求方法: ${req.method}` });
+			return;
+		}
+
+		await route.handler(req, res, url, route.match);
+	}
+
+	/**
+	 * 校验访问令牌
+	 * @param {http.IncomingMessage} req - 请求
+	 * @returns {boolean} 是否通过
+	 */
+	isAuthorized(req) {
+		if (!this.token) {
+			return true;
+		}
+
+		const header = req.headers.authorization || '';
+		const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+		const expected = Buffer.from(this.token);
+		return (
+			provided.length === expected.length &&
+			crypto.timingSafeEqual(provided, expected)
+		);
+	}
+
+	/**
+	 * GET /status
+	 */
+	handleStatus(req, res) {
+		this.sendJson(res, 200, {
+			pid: process.pid,
+			startedAt: this.startedAt.toISOString(),
+			uptime: Math.round(process.uptime()),
+			...this.scheduler.getStatus(),
+		});
+	}
+
+	/**
+	 * GET /next-runs?count=N
+	 */
+	handleNextRuns(res, url) {
+		const count = Math.min(parseInt(url.searchParams.get('count')) || 5, 100);
+		const schedules = Array.from(this.scheduler.taskInfo.entries()).map(
+			([name, info]) => ({
+				name,
+				cronExpression: info.cronExpression,
+				description: info.description,
+				paused: !!info.paused,
+				nextRuns: info.paused
+					? []
+					: this.scheduler
+							.getNextExecutionTimes(info.cronExpression, count)
+							.map((date) => ({
+								time: date.toISOString(),
+								display: this.scheduler.formatExecutionTime(date),
+							})),
+			})
+		);
+
+		this.sendJson(res, 200, { timezone: this.scheduler.timezone, schedules });
+	}
+
+	/**
+	 * GET /results/last
+	 * 守护进程启动后还没有执行过签到时，读取签到历史中的最后一条记录
+	 */
+	handleLastResults(res) {
+		const lastRun = this.scheduler.lastRun || history.query().pop();
+		if (!lastRun) {
+			this.sendJson(res, 404, { error: '暂无签到记录' });
+			return;
+		}
+
+		this.sendJson(res, 200, lastRun);
+	}
+
+	/**
+	 * POST /run
+	 * 签到在后台执行，立即返回 202
+	 */
+	async handleRun(req, res) {
+		if (this.scheduler.currentRun) {
+			this.sendJson(res, 409, {
+				error: '已有签到任务正在执行',
+				currentRun: this.scheduler.currentRun,
+			});
+			return;
+		}
+
+		const body = await this.readJsonBody(req);
+		const platforms = Array.isArray(body.platforms)
+			? body.platforms
+			: body.platforms
+			? [body.platforms]
+			: [];
+
+		const unknown = platforms.filter(
+			(name) => config.getTargets([name]).length === 0
+		);
+		if (unknown.length > 0) {
+			this.sendJson(res, 400, {
+				error: `未找到平台或平台未启用: ${unknown.join(', ')}`,
+				platforms: config.getTargets().map((t) => t.key),
+			});
+			return;
+		}
+
+		const options = {
+			parallel: !!body.parallel,
+			platforms,
+			retry: body.retry !== false,
+			trigger: 'manual',
+		};
+
+		logger.info(
+			`🚀 控制接口触发签到: ${
+				platforms.length > 0 ? platforms.join(', ') : '所有启用的平台'
+			}`
+		);
+		this.scheduler
+			.executeRun(options)
+			.then(() => logger.success('✅ 控制接口触发的签到执行完成'))
+			.catch((error) =>
+				logger.failure(`❌ 控制接口触发的签到执行失败: ${error.message}`)
+			);
+
+		this.sendJson(res, 202, { accepted: true, ...options });
+	}
+
+	/**
+	 * POST /schedules/:name/pause | resume
+	 */
+	handleScheduleAction(res, match) {
+		const name = decodeURIComponent(match[1]);
+		const action = match[2];
+		const ok =
+			action === 'pause'
+				? this.scheduler.pauseTask(name)
+				: this.scheduler.resumeTask(name);
+
+		if (!ok) {
+			this.sendJson(res, 404, { error: `未找到定时任务: ${name}` });
+			return;
+		}
+
+		this.sendJson(res, 200, {
+			name,
+			paused: action === 'pause',
+			schedule: this.scheduler
+				.getStatus()
+				.details.find((task) => task.name === name),
+		});
+	}
+
+	/**
+	 * POST /shutdown
+	 */
+	handleShutdown(res) {
+		this.sendJson(res, 200, { stopping: true, pid: process.pid });
+		if (this.onShutdown) {
+			// 等响应发送完成后再停止
+			res.on('finish', () => setImmediate(() => this.onShutdown()));
+		}
+	}
+
+	/**
+	 * GET /metrics
+	 */
+	handleMetrics(res) {
+		res.writeHead(200, {
+			'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+		});
+		res.end(metrics.render());
+	}
+
+	/**
+	 * GET /verification-code
+	 */
+	handleVerificationCodePending(res) {
+		this.sendJson(res, 200, { pending: verificationCodes.getPending() });
+	}
+
+	/**
+	 * POST /verification-code
+	 * 签到流程在守护进程中等待验证码时，通过此接口提交
+	 */
+	async handleVerificationCode(req, res) {
+		const { platform, code } = await this.readJsonBody(req);
+		if (!platform || !code) {
+			this.sendJson(res, 400, { error: '请提供 platform 和 code' });
+			return;
+		}
+
+		if (!verificationCodes.submit(platform, code)) {
+			this.sendJson(res, 404, {
+				error: `平台 ${platform} 没有在等待验证码`,
+				pending: verificationCodes.getPending(),
+			});
+			return;
+		}
+
+		this.sendJson(res, 200, { platform, accepted: true });
+	}
+
+	/**
+	 * 读取 JSON 请求体
+	 * @param {http.IncomingMessage} req - 请求
+	 * @returns {Promise<Object>} 请求体，为空时返回空对象
+	 * @throws {Error} 请求体不是 JSON 对象时抛出，statusCode 为 400
+	 */
+	async readJsonBody(req) {
+		const chunks = [];
+		for await (const chunk of req) {
+			chunks.push(chunk);
+		}
+
+		const raw = Buffer.concat(chunks).toString('utf8').trim();
+		if (!raw) {
+			return {};
+		}
+
+		let body;
+		try {
+			body = JSON.parse(raw);
+		} catch (error) {
+			const badRequest = new Error(`请求体不是有效的JSON: ${error.message}`);
+			badRequest.statusCode = 400;
+			throw badRequest;
+		}
+
+		// null、数组、字符串等不是可用的请求参数
+		if (!body || typeof body !== 'object' || Array.isArray(body)) {
+			const badRequest = new Error('请求体必须是JSON对象');
+			badRequest.statusCode = 400;
+			throw badRequest;
+		}
+		return body;
+	}
+
+	/**
+	 * 发送 JSON 响应
+	 * @param {http.ServerResponse} res - 响应
+	 * @param {number} statusCode - 状态码
+	 * @param {Object} data - 响应数据
+	 */
+	sendJson(res, statusCode, data) {
+		if (res.headersSent) {
+			return;
+		}
+
+		res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+		res.end(JSON.stringify(data, null, 2));
+	}
+}
+
+export default ControlServer;
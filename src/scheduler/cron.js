@@ -1,6 +1,7 @@
 import cron from 'node-cron';
 import logger from '../utils/logger.js';
 import scheduleConfig from '../utils/scheduleConfig.js';
+import CronExpression from './cronExpression.js';
 import chalk from 'chalk';
 
 /**
@@ -10,10 +11,13 @@ import chalk from 'chalk';
 class CronScheduler {
 	constructor() {
 		this.tasks = new Map();
+		this.taskInfo = new Map();
 		this.defaultCronExpression =
 			scheduleConfig.getDefaultSchedule().cronExpression;
 		this.isRunning = false;
 		this.timezone = scheduleConfig.getTimezone();
+		this.currentRun = null;
+		this.lastRun = null;
 	}
 
 	/**
@@ -22,6 +26,7 @@ class CronScheduler {
 	 * @param {Object} options - 配置选项
 	 * @param {boolean} options.parallel - 是否并行执行
 	 * @param {string[]} options.platforms - 指定要执行的平台，不指定则执行所有启用的平台
+	 * @param {boolean} options.retry - 失败时是否按重试策略重新执行
 	 */
 	start(cronExpression = this.defaultCronExpression, options = {}) {
 		if (this.isRunning) {
@@ -35,7 +40,7 @@ class CronScheduler {
 			return;
 		}
 
-		const { parallel = false, platforms = [] } = options;
+		const { parallel = false, platforms = [], retry = true } = options;
 
 		logger.info(`启动定时任务，执行时间: ${chalk.cyan(cronExpression)}`);
 		logger.info(
@@ -48,30 +53,28 @@ class CronScheduler {
 			logger.info(`执行范围: ${chalk.green('所有启用的平台')}`);
 		}
 
+		if (retry && scheduleConfig.shouldRetryOnFailure()) {
+			logger.info(
+				`失败重试: 最多 ${chalk.cyan(
+					scheduleConfig.getMaxRetries()
+				)} 次，初始间隔 ${chalk.cyan(
+					Math.round(scheduleConfig.getRetryDelay() / 1000)
+				)} 秒`
+			);
+		}
+
 		const task = cron.schedule(
 			cronExpression,
 			async () => {
 				logger.title('⏰ 定时任务触发 - 开始自动签到', 'yellow');
 
 				try {
-					// 动态导入AutoSignIn类以避免循环导入
-					const { AutoSignIn } = await import('../index.js');
-					const autoSignIn = new AutoSignIn();
-
-					if (platforms.length > 0) {
-						// 执行指定平台的签到
-						for (const platformName of platforms) {
-							await autoSignIn.runSingle(platformName);
-							// 平台之间间隔一段时间
-							if (platforms.indexOf(platformName) < platforms.length - 1) {
-								await new Promise((resolve) => setTimeout(resolve, 3000));
-							}
-						}
-					} else {
-						// 执行所有平台的签到
-						await autoSignIn.runAll(parallel);
-					}
-
+					await this.executeRun({
+						parallel,
+						platforms,
+						retry,
+						trigger: 'cron',
+					});
 					logger.success('⏰ 定时任务执行完成');
 				} catch (error) {
 					logger.failure(`⏰ 定时任务执行失败: ${error.message}`);
@@ -84,6 +87,12 @@ class CronScheduler {
 		);
 
 		this.tasks.set('main', task);
+		this.taskInfo.set('main', {
+			cronExpression,
+			description: scheduleConfig.describeCronExpression(cronExpression),
+			parallel,
+			platforms,
+		});
 		task.start();
 		this.isRunning = true;
 
@@ -108,6 +117,7 @@ class CronScheduler {
 		});
 
 		this.tasks.clear();
+		this.taskInfo.clear();
 		this.isRunning = false;
 		logger.success('✅ 所有定时任务已停止');
 	}
@@ -120,7 +130,16 @@ class CronScheduler {
 		return {
 			isRunning: this.isRunning,
 			taskCount: this.tasks.size,
+			currentRun: this.currentRun,
 			tasks: Array.from(this.tasks.keys()),
+			details: Array.from(this.taskInfo.entries()).map(([name, info]) => ({
+				name,
+				paused: false,
+				...info,
+				nextRun: info.paused
+					? '已暂停'
+					: this.getNextExecutionTime(info.cronExpression),
+			})),
 		};
 	}
 
@@ -130,30 +149,48 @@ class CronScheduler {
 	 * @returns {string} 下次执行时间的格式化字符串
 	 */
 	getNextExecutionTime(cronExpression) {
+		const [next] = this.getNextExecutionTimes(cronExpression, 1);
+		return next ? this.formatExecutionTime(next) : '无法计算';
+	}
+
+	/**
+	 * 获取接下来的多次执行时间
+	 * @param {string} cronExpression - cron表达式
+	 * @param {number} count - 数量
+	 * @returns {Date[]} 执行时间列表，表达式无效时返回空数组
+	 */
+	getNextExecutionTimes(cronExpression, count = 5) {
 		try {
-			const task = cron.schedule(cronExpression, () => {}, {
-				scheduled: false,
-			});
-			// 由于node-cron没有直接获取下次执行时间的API，我们使用一个简化的方法
-			const now = new Date();
-			const tomorrow = new Date(now);
-			tomorrow.setDate(tomorrow.getDate() + 1);
-			tomorrow.setHours(8, 0, 0, 0); // 假设默认是8点执行
-
-			return tomorrow.toLocaleString('zh-CN', {
-				timeZone: this.timezone,
-				year: 'numeric',
-				month: '2-digit',
-				day: '2-digit',
-				hour: '2-digit',
-				minute: '2-digit',
-				second: '2-digit',
-			});
+			const expression = new CronExpression(cronExpression, this.timezone);
+			return expression.nextTimes(count);
 		} catch (error) {
-			return '无法计算';
+			logger.warn(`无法计算执行时间: ${error.message}`);
+			return [];
 		}
 	}
 
+	/**
+	 * 按配置的时区格式化执行时间
+	 * @param {Date} date - 执行时间
+	 * @returns {string} 格式化字符串
+	 */
+	formatExecutionTime(date) {
+		const dateTime = date.toLocaleString('zh-CN', {
+			timeZone: this.timezone,
+			year: 'numeric',
+			month: '2-digit',
+			day: '2-digit',
+			hour: '2-digit',
+			minute: '2-digit',
+			second: '2-digit',
+		});
+		const weekday = date.toLocaleDateString('zh-CN', {
+			timeZone: this.timezone,
+			weekday: 'short',
+		});
+		return `${dateTime} ${weekday}`;
+	}
+
 	/**
 	 * 立即执行一次签到任务（不影响定时任务）
 	 * @param {Object} options - 执行选项
@@ -161,33 +198,198 @@ class CronScheduler {
 	async runNow(options = {}) {
 		logger.info('🚀 手动触发签到任务');
 
+		try {
+			await this.executeRun({ trigger: 'manual', ...options });
+			logger.success('✅ 手动执行完成');
+		} catch (error) {
+			logger.failure(`❌ 手动执行失败: ${error.message}`);
+		}
+	}
+
+	/**
+	 * 执行一次签到并记录结果
+	 * @param {Object} options - 执行选项
+	 * @param {boolean} options.parallel - 是否并行执行
+	 * @param {string[]} options.platforms - 指定要执行的平台
+	 * @param {boolean} options.retry - 失败时是否按重试策略重新执行
+	 * @param {string} options.trigger - 触发来源
+	 * @returns {Object} 本次执行信息 { runId, trigger, results, startedAt, finishedAt }
+	 */
+	async executeRun(options = {}) {
+		const {
+			parallel = false,
+			platforms = [],
+			retry = true,
+			trigger = 'manual',
+		} = options;
+
+		if (this.currentRun) {
+			throw new Error('已有签到任务正在执行');
+		}
+
+		this.currentRun = {
+			trigger,
+			platforms,
+			startedAt: new Date().toISOString(),
+		};
+
 		try {
 			// 动态导入AutoSignIn类以避免循环导入
 			const { AutoSignIn } = await import('../index.js');
-			const autoSignIn = new AutoSignIn();
-			const { parallel = false, platforms = [] } = options;
+			const autoSignIn = new AutoSignIn({ retry, trigger, platforms });
+			await autoSignIn.runAll(parallel);
+
+			this.lastRun = {
+				runId: autoSignIn.runId,
+				trigger,
+				results: autoSignIn.results,
+				startedAt: this.currentRun.startedAt,
+				finishedAt: new Date().toISOString(),
+			};
+			return this.lastRun;
+		} finally {
+			this.currentRun = null;
+		}
+	}
 
-			if (platforms.length > 0) {
-				for (const platformName of platforms) {
-					await autoSignIn.runSingle(platformName);
+	/**
+	 * 暂停指定的定时任务
+	 * @param {string} name - 任务名称
+	 * @returns {boolean} 是否成功
+	 */
+	pauseTask(name) {
+		const task = this.tasks.get(name);
+		if (!task) {
+			return false;
+		}
+
+		task.stop();
+		this.taskInfo.get(name).paused = true;
+		logger.info(`已暂停定时任务: ${name}`);
+		return true;
+	}
+
+	/**
+	 * 恢复指定的定时任务
+	 * @param {string} name - 任务名称
+	 * @returns {boolean} 是否成功
+	 */
+	resumeTask(name) {
+		const task = this.tasks.get(name);
+		if (!task) {
+			return false;
+		}
+
+		task.start();
+		this.taskInfo.get(name).paused = false;
+		logger.info(`已恢复定时任务: ${name}`);
+		return true;
+	}
+
+	/**
+	 * 添加自定义定时作业（如周报、会话保活），与签到任务一起管理
+	 * @param {string} name - 作业名称
+	 * @param {string} cronExpression - cron表达式
+	 * @param {Function} handler - 作业处理函数
+	 * @param {string} description - 作业说明
+	 */
+	addJob(name, cronExpression, handler, description) {
+		if (!cron.validate(cronExpression)) {
+			logger.failure(`作业 ${name} 的cron表达式无效: ${cronExpression}`);
+			return;
+		}
+
+		const task = cron.schedule(
+			cronExpression,
+			async () => {
+				logger.info(`⏰ 定时作业 ${name} 开始执行`);
+				try {
+					await handler();
+				} catch (error) {
+					logger.failure(`⏰ 定时作业 ${name} 执行失败: ${error.message}`);
 				}
-			} else {
-				await autoSignIn.runAll(parallel);
+			},
+			{
+				scheduled: false,
+				timezone: this.timezone,
 			}
+		);
 
-			logger.success('✅ 手动执行完成');
-		} catch (error) {
-			logger.failure(`❌ 手动执行失败: ${error.message}`);
+		this.tasks.set(name, task);
+		this.taskInfo.set(name, {
+			cronExpression,
+			description:
+				description || scheduleConfig.describeCronExpression(cronExpression),
+			job: true,
+		});
+		task.start();
+		this.isRunning = true;
+		logger.success(`✅ 定时作业 ${name} 已添加`);
+	}
+
+	/**
+	 * 添加登录状态保活作业：定期用保存的状态打开各平台并重新保存
+	 * 刷新失败的平台会发送通知提醒，附带下次签到的时间
+	 * @param {Object} options - 保活配置
+	 * @param {string} options.cronExpression - cron表达式
+	 * @param {string[]} options.platforms - 只刷新这些平台，不指定则刷新所有启用的平台
+	 */
+	addSessionRefreshJob(options = {}) {
+		const { cronExpression, platforms = [] } = options;
+
+		this.addJob(
+			'session-refresh',
+			cronExpression,
+			async () => {
+				const results = await this.refreshSessions(platforms);
+				const { default: notifier } = await import('../notifiers/index.js');
+				await notifier.notifySessionRefresh(results, this.getNextSignInTime());
+			},
+			'登录状态保活'
+		);
+	}
+
+	/**
+	 * 刷新保存的登录状态
+	 * @param {string[]} platforms - 只刷新这些平台
+	 * @returns {Array} 每个平台的刷新结果
+	 */
+	async refreshSessions(platforms = []) {
+		// 动态导入AutoSignIn类以避免循环导入
+		const { AutoSignIn } = await import('../index.js');
+		const autoSignIn = new AutoSignIn({ platforms });
+		return autoSignIn.refreshSessions();
+	}
+
+	/**
+	 * 获取最近一次签到任务（不含周报、保活等作业）的执行时间
+	 * @returns {string|null} 格式化的执行时间，没有签到任务时返回 null
+	 */
+	getNextSignInTime() {
+		const times = Array.from(this.taskInfo.values())
+			.filter((info) => !info.job && !info.paused)
+			.flatMap((info) => this.getNextExecutionTimes(info.cronExpression, 1));
+
+		if (times.length === 0) {
+			return null;
 		}
+
+		return this.formatExecutionTime(
+			new Date(Math.min(...times.map((time) => time.getTime())))
+		);
 	}
 
 	/**
 	 * 添加多个定时任务
 	 * @param {Array} schedules - 定时任务配置数组
+	 * @param {string} schedules[].name - 任务名称
+	 * @param {string} schedules[].cronExpression - cron表达式
+	 * @param {string} schedules[].description - 任务说明
+	 * @param {Object} schedules[].options - 执行选项，同 runNow
 	 */
 	addMultipleSchedules(schedules) {
 		schedules.forEach((schedule, index) => {
-			const { cronExpression, options = {}, name } = schedule;
+			const { cronExpression, options = {}, name, description } = schedule;
 			const taskName = name || `task_${index}`;
 
 			if (!cron.validate(cronExpression)) {
@@ -195,11 +397,16 @@ class CronScheduler {
 				return;
 			}
 
+			if (this.tasks.has(taskName)) {
+				logger.warning(`任务 ${taskName} 已存在，跳过`);
+				return;
+			}
+
 			const task = cron.schedule(
 				cronExpression,
 				async () => {
 					logger.info(`⏰ 定时任务 ${taskName} 开始执行`);
-					await this.runNow(options);
+					await this.runNow({ ...options, trigger: 'cron' });
 				},
 				{
 					scheduled: false,
@@ -208,8 +415,21 @@ class CronScheduler {
 			);
 
 			this.tasks.set(taskName, task);
+			this.taskInfo.set(taskName, {
+				cronExpression,
+				description:
+					description || scheduleConfig.describeCronExpression(cronExpression),
+				parallel: options.parallel || false,
+				platforms: options.platforms || [],
+			});
 			task.start();
+			this.isRunning = true;
 			logger.success(`✅ 定时任务 ${taskName} 已添加`);
+			logger.info(
+				`  ${chalk.gray(cronExpression)} | 下次执行: ${chalk.cyan(
+					this.getNextExecutionTime(cronExpression)
+				)}`
+			);
 		});
 	}
 }
@@ -0,0 +1,321 @@
+/**
+ * Cron 表达式求值器
+ * 支持 5 段（分 时 日 月 周）或 6 段（秒 分 时 日 月 周）表达式，
+ * 支持 *、范围（1-5）、步长（0-30/10）、列表（1,3,5）以及月份/星期英文名称，
+ * 并按指定时区计算下次触发时间
+ */
+
+const MONTH_NAMES = [
+	'jan',
+	'feb',
+	'mar',
+	'apr',
+	'may',
+	'jun',
+	'jul',
+	'aug',
+	'sep',
+	'oct',
+	'nov',
+	'dec',
+];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// 各字段的取值范围
+const FIELD_RANGES = {
+	second: [0, 59],
+	minute: [0, 59],
+	hour: [0, 23],
+	day: [1, 31],
+	month: [1, 12],
+	weekday: [0, 7],
+};
+
+// 搜索下次触发时间的最长范围（年），超过则认为表达式永远不会触发
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * 将字段中的英文名称转换为数字
+ * @param {string} value - 字段值
+ * @param {string} field - 字段名称
+ * @returns {string} 转换后的字段值
+ */
+function replaceNames(value, field) {
+	const lower = value.toLowerCase();
+	if (field === 'month') {
+		return MONTH_NAMES.reduce(
+			(acc, name, index) =>
+				acc.replace(new RegExp(`${name}[a-z]*`, 'g'), String(index + 1)),
+			lower
+		);
+	}
+	if (field === 'weekday') {
+		return WEEKDAY_NAMES.reduce(
+			(acc, name, index) =>
+				acc.replace(new RegExp(`${name}[a-z]*`, 'g'), String(index)),
+			lower
+		);
+	}
+	return lower;
+}
+
+/**
+ * 解析单个字段为允许值集合
+ * @param {string} value - 字段值
+ * @param {string} field - 字段名称
+ * @returns {Set<number>} 允许值集合
+ */
+function parseField(value, field) {
+	const [min, max] = FIELD_RANGES[field];
+	const allowed = new Set();
+
+	for (const part of replaceNames(value, field).split(',')) {
+		const match = /^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/.exec(part);
+		if (!match) {
+			throw new Error(`无法解析字段 ${field}: ${value}`);
+		}
+
+		const [, startToken, endToken, stepToken] = match;
+		let start;
+		let end;
+
+		if (startToken === '*') {
+			start = min;
+			end = max;
+		} else {
+			start = parseInt(startToken, 10);
+			// "5/10" 表示从 5 开始到最大值，每 10 个单位一次
+			end = endToken ? parseInt(endToken, 10) : stepToken ? max : start;
+		}
+
+		const step = stepToken ? parseInt(stepToken, 10) : 1;
+
+		if (start < min || end > max || start > end || step < 1) {
+			throw new Error(`字段 ${field} 超出范围: ${value}`);
+		}
+
+		for (let i = start; i <= end; i += step) {
+			allowed.add(i);
+		}
+	}
+
+	// 星期字段中 7 与 0 都表示周日
+	if (field === 'weekday' && allowed.has(7)) {
+		allowed.delete(7);
+		allowed.add(0);
+	}
+
+	return allowed;
+}
+
+// 各时区的日期格式化器，创建开销较大，按时区缓存
+const formatters = new Map();
+
+/**
+ * 获取某个时刻在指定时区下的墙上时间
+ * @param {Date} date - 时刻
+ * @param {string} timezone - IANA 时区
+ * @returns {Object} 年月日时分秒
+ */
+function getZonedParts(date, timezone) {
+	if (!formatters.has(timezone)) {
+		formatters.set(
+			timezone,
+			new Intl.DateTimeFormat('en-US', {
+				timeZone: timezone,
+				hourCycle: 'h23',
+				year: 'numeric',
+				month: 'numeric',
+				day: 'numeric',
+				hour: 'numeric',
+				minute: 'numeric',
+				second: 'numeric',
+			})
+		);
+	}
+	const formatter = formatters.get(timezone);
+
+	const parts = {};
+	for (const { type, value } of formatter.formatToParts(date)) {
+		if (type !== 'literal') {
+			parts[type] = parseInt(value, 10);
+		}
+	}
+
+	return {
+		year: parts.year,
+		month: parts.month,
+		day: parts.day,
+		hour: parts.hour,
+		minute: parts.minute,
+		second: parts.second,
+	};
+}
+
+/**
+ * 将指定时区的墙上时间转换为真实时刻
+ * @param {Date} wallTime - 以 UTC 字段表示的墙上时间
+ * @param {string} timezone - IANA 时区
+ * @returns {Date} 真实时刻
+ */
+function fromZonedTime(wallTime, timezone) {
+	const target = wallTime.getTime();
+	let guess = target;
+
+	// 两次迭代足以处理夏令时前后的偏移变化
+	for (let i = 0; i < 2; i++) {
+		const parts = getZonedParts(new Date(guess), timezone);
+		const asUtc = Date.UTC(
+			parts.year,
+			parts.month - 1,
+			parts.day,
+			parts.hour,
+			parts.minute,
+			parts.second
+		);
+		guess += target - asUtc;
+	}
+
+	return new Date(guess);
+}
+
+/**
+ * 判断时刻在指定时区下是否正好是给定的墙上时间
+ * 夏令时开始时跳过的墙上时间（如纽约 3 月的 02:30）不存在，转换后的时刻对不上
+ * @param {Date} instant - 真实时刻
+ * @param {Date} wallTime - 以 UTC 字段表示的墙上时间
+ * @param {string} timezone - IANA 时区
+ * @returns {boolean} 是否一致
+ */
+function isWallTime(instant, wallTime, timezone) {
+	const parts = getZonedParts(instant, timezone);
+	return (
+		Date.UTC(
+			parts.year,
+			parts.month - 1,
+			parts.day,
+			parts.hour,
+			parts.minute,
+			parts.second
+		) === wallTime.getTime()
+	);
+}
+
+class CronExpression {
+	/**
+	 * @param {string} expression - cron表达式
+	 * @param {string} timezone - IANA 时区，不指定则使用系统时区
+	 */
+	constructor(expression, timezone) {
+		this.expression = expression;
+		this.timezone =
+			timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+		const fields = expression.trim().split(/\s+/);
+		if (fields.length !== 5 && fields.length !== 6) {
+			throw new Error(`cron表达式应包含5或6个字段: ${expression}`);
+		}
+
+		this.hasSeconds = fields.length === 6;
+		const [second, minute, hour, day, month, weekday] = this.hasSeconds
+			? fields
+			: ['0', ...fields];
+
+		this.seconds = parseField(second, 'second');
+		this.minutes = parseField(minute, 'minute');
+		this.hours = parseField(hour, 'hour');
+		this.days = parseField(day, 'day');
+		this.months = parseField(month, 'month');
+		this.weekdays = parseField(weekday, 'weekday');
+	}
+
+	/**
+	 * 计算指定时刻之后的下一次触发时间
+	 * 因夏令时而不存在的墙上时间会被跳过
+	 * @param {Date} from - 起始时刻（不包含）
+	 * @returns {Date|null} 下次触发时间，无法触发时返回 null
+	 */
+	next(from = new Date()) {
+		const parts = getZonedParts(from, this.timezone);
+
+		// 在墙上时间中搜索，使用 Date 的 UTC 字段作为不受时区影响的日历
+		const cursor = new Date(
+			Date.UTC(
+				parts.year,
+				parts.month - 1,
+				parts.day,
+				parts.hour,
+				parts.minute,
+				parts.second + 1
+			)
+		);
+		const limit = Date.UTC(parts.year + MAX_SEARCH_YEARS, 0, 1);
+
+		while (cursor.getTime() < limit) {
+			if (!this.months.has(cursor.getUTCMonth() + 1)) {
+				cursor.setUTCMonth(cursor.getUTCMonth() + 1, 1);
+				cursor.setUTCHours(0, 0, 0, 0);
+				continue;
+			}
+
+			if (
+				!this.days.has(cursor.getUTCDate()) ||
+				!this.weekdays.has(cursor.getUTCDay())
+			) {
+				cursor.setUTCDate(cursor.getUTCDate() + 1);
+				cursor.setUTCHours(0, 0, 0, 0);
+				continue;
+			}
+
+			if (!this.hours.has(cursor.getUTCHours())) {
+				cursor.setUTCHours(cursor.getUTCHours() + 1, 0, 0, 0);
+				continue;
+			}
+
+			if (!this.minutes.has(cursor.getUTCMinutes())) {
+				cursor.setUTCMinutes(cursor.getUTCMinutes() + 1, 0, 0);
+				continue;
+			}
+
+			if (!this.seconds.has(cursor.getUTCSeconds())) {
+				cursor.setUTCSeconds(cursor.getUTCSeconds() + 1, 0);
+				continue;
+			}
+
+			const instant = fromZonedTime(cursor, this.timezone);
+			if (
+				instant.getTime() > from.getTime() &&
+				isWallTime(instant, cursor, this.timezone)
+			) {
+				return instant;
+			}
+			cursor.setUTCSeconds(cursor.getUTCSeconds() + 1, 0);
+		}
+
+		return null;
+	}
+
+	/**
+	 * 计算接下来的多次触发时间
+	 * @param {number} count - 数量
+	 * @param {Date} from - 起始时刻（不包含）
+	 * @returns {Date[]} 触发时间列表
+	 */
+	nextTimes(count, from = new Date()) {
+		const times = [];
+		let cursor = from;
+
+		while (times.length < count) {
+			const next = this.next(cursor);
+			if (!next) {
+				break;
+			}
+			times.push(next);
+			cursor = next;
+		}
+
+		return times;
+	}
+}
+
+export default CronExpression;
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import config from './config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * 失败现场文件管理类
+ * 每次执行的文件保存在 artifacts/<执行ID>/<平台>/ 下（多账号为 平台@账号），超过保留天数的执行目录会被清理
+ */
+class ArtifactStore {
+	constructor() {
+		this.baseDir = path.join(__dirname, '../../artifacts');
+	}
+
+	/**
+	 * 获取（并创建）某次执行中某个平台的文件目录
+	 * @param {string} runId - 执行ID
+	 * @param {string} target - 平台名称或 平台:账号
+	 * @returns {string} 目录路径
+	 */
+	getDir(runId, target) {
+		const dir = path.join(this.baseDir, runId, target.replace(':', '@'));
+		fs.mkdirSync(dir, { recursive: true });
+		return dir;
+	}
+
+	/**
+	 * 删除超过保留天数的执行目录
+	 * @param {number} retentionDays - 保留天数，默认使用 ARTIFACTS_RETENTION_DAYS
+	 * @returns {number} 删除的执行目录数量
+	 */
+	prune(retentionDays = config.getArtifactsConfig().retentionDays) {
+		if (!fs.existsSync(this.baseDir)) {
+			return 0;
+		}
+
+		const cutoff = Date.now() - retentionDays * DAY_MS;
+		let removed = 0;
+
+		for (const entry of fs.readdirSync(this.baseDir, { withFileTypes: true })) {
+			if (!entry.isDirectory()) continue;
+
+			const runDir = path.join(this.baseDir, entry.name);
+			try {
+				if (fs.statSync(runDir).mtimeMs < cutoff) {
+					fs.rmSync(runDir, { recursive: true, force: true });
+					removed++;
+				}
+			} catch (error) {
+				logger.warn(`清理失败现场目录 ${entry.name} 失败: ${error.message}`);
+			}
+		}
+
+		if (removed > 0) {
+			logger.info(`已清理 ${removed} 个超过 ${retentionDays} 天的失败现场目录`);
+		}
+		return removed;
+	}
+}
+
+export default new ArtifactStore();
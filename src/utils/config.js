@@ -2,6 +2,7 @@ import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import credentialChain from '../credentials/index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -51,19 +52,90 @@ class Config {
 		);
 	}
 
+	/**
+	 * 解析签到目标
+	 * @param {string} target - 平台名称或 平台:账号，如 juejin、juejin:alice
+	 * @returns {Object} { platform, account }，未指定账号时 account 为 null
+	 */
+	parseTarget(target) {
+		const [platform, account = null] = target.split(':');
+		return { platform, account };
+	}
+
+	/**
+	 * 生成签到目标标识，同时用作登录状态和凭据库的键
+	 * @param {string} platformName - 平台名称
+	 * @param {string|null} account - 账号标签
+	 * @returns {string} juejin 或 juejin:alice
+	 */
+	formatTarget(platformName, account) {
+		return account ? `${platformName}:${account}` : platformName;
+	}
+
+	/**
+	 * 获取平台已启用的账号标签
+	 * 未配置 accounts 时返回 [null]，即沿用平台级别的账号和登录状态
+	 * @param {string} platformName - 平台名称
+	 * @returns {Array<string|null>} 账号标签列表
+	 */
+	getAccounts(platformName) {
+		const accounts = this.getPlatformConfig(platformName)?.accounts;
+		if (!Array.isArray(accounts) || accounts.length === 0) {
+			return [null];
+		}
+
+		return accounts
+			.filter((account) => account.enabled !== false)
+			.map((account) => account.label);
+	}
+
+	/**
+	 * 获取所有启用的签到目标（平台 × 账号）
+	 * @param {string[]} filters - 只返回匹配的目标，可以是平台名称（该平台所有账号）或 平台:账号
+	 * @returns {Array} [{ key, platform, account, displayName, platformConfig }]
+	 */
+	getTargets(filters = []) {
+		const targets = this.getPlatforms().flatMap((platformConfig) =>
+			this.getAccounts(platformConfig.name).map((account) => ({
+				key: this.formatTarget(platformConfig.name, account),
+				platform: platformConfig.name,
+				account,
+				displayName: account
+					? `${platformConfig.displayName}(${account})`
+					: platformConfig.displayName,
+				platformConfig,
+			}))
+		);
+
+		if (filters.length === 0) {
+			return targets;
+		}
+
+		return targets.filter(
+			(target) =>
+				filters.includes(target.key) || filters.includes(target.platform)
+		);
+	}
+
 	/**
 	 * 获取平台账号信息
+	 * 按账号或平台配置中 credentials.providers 的顺序从各个来源读取，
+	 * 未配置时先从加密凭据库读取，再使用环境变量
 	 * @param {string} platformName - 平台名称
-	 * @returns {Object} 账号信息
+	 * @param {string|null} account - 账号标签
+	 * @returns {Promise<Object>} 账号信息 { username, password, tried }
 	 */
-	getPlatformCredentials(platformName) {
-		const usernameKey = `${platformName.toUpperCase()}_USERNAME`;
-		const passwordKey = `${platformName.toUpperCase()}_PASSWORD`;
+	async getPlatformCredentials(platformName, account = null) {
+		const platformConfig = this.getPlatformConfig(platformName);
+		const accountConfig = account
+			? platformConfig?.accounts?.find((item) => item.label === account)
+			: null;
 
-		return {
-			username: process.env[usernameKey],
-			password: process.env[passwordKey],
-		};
+		return credentialChain.resolve(
+			this.formatTarget(platformName, account),
+			accountConfig?.credentials?.providers ||
+				platformConfig?.credentials?.providers
+		);
 	}
 
 	/**
@@ -76,6 +148,18 @@ class Config {
 			timeout: parseInt(process.env.BROWSER_TIMEOUT) || 30000,
 		};
 	}
+
+	/**
+	 * 获取失败现场（截图、页面 HTML、Playwright trace）保存配置
+	 * trace 为 off（不记录）、on-failure（失败时保存）或 on（每次都保存）
+	 * @returns {Object} { trace, retentionDays }
+	 */
+	getArtifactsConfig() {
+		return {
+			trace: process.env.BROWSER_TRACE || 'off',
+			retentionDays: parseInt(process.env.ARTIFACTS_RETENTION_DAYS) || 7,
+		};
+	}
 }
 
 export default new Config();
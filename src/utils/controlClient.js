@@ -0,0 +1,161 @@
+import daemonState from './daemonState.js';
+import scheduleConfig from './scheduleConfig.js';
+
+/**
+ * 守护进程控制接口客户端
+ * 命令行通过它与正在运行的守护进程通信
+ */
+class ControlClient {
+	/**
+	 * 获取控制接口地址和令牌
+	 * 优先使用守护进程状态文件中记录的实际监听地址
+	 * @returns {Object|null} { baseUrl, token }，守护进程未运行或未开启接口时返回 null
+	 */
+	getEndpoint() {
+		const state = daemonState.read();
+		if (!state || !state.controlApi) {
+			return null;
+		}
+
+		const { host, port } = state.controlApi;
+		// 监听所有地址时通过本机回环地址访问
+		const address =
+			host === '0.0.0.0' || host === '::'
+				? '127.0.0.1'
+				: host.includes(':')
+				? `[${host}]`
+				: host;
+
+		return {
+			baseUrl: `http://${address}:${port}`,
+			token: scheduleConfig.getControlApiConfig().token,
+		};
+	}
+
+	/**
+	 * 守护进程控制接口是否可用
+	 * @returns {boolean} 是否可用
+	 */
+	isAvailable() {
+		return this.getEndpoint() !== null;
+	}
+
+	/**
+	 * 发送请求
+	 * @param {string} method - 请求方法
+	 * @param {string} path - 接口路径
+	 * @param {Object} body - 请求体
+	 * @returns {Promise<Object>} 响应数据
+	 */
+	async request(method, path, body) {
+		const endpoint = this.getEndpoint();
+		if (!endpoint) {
+			throw new Error('守护进程未运行或未开启控制接口');
+		}
+
+		const headers = { 'Content-Type': 'application/json' };
+		if (endpoint.token) {
+			headers.Authorization = `Bearer ${endpoint.token}`;
+		}
+
+		const response = await fetch(`${endpoint.baseUrl}${path}`, {
+			method,
+			headers,
+			body: body ? JSON.stringify(body) : undefined,
+			signal: AbortSignal.timeout(10000),
+		});
+
+		const data = await response.json().catch(() => ({}));
+		if (!response.ok) {
+			const error = new Error(data.error || `HTTP ${response.status}`);
+			error.statusCode = response.status;
+			throw error;
+		}
+
+		return data;
+	}
+
+	/**
+	 * 获取守护进程和定时任务状态
+	 * @returns {Promise<Object>} { pid, startedAt, uptime, ...调度器状态 }
+	 */
+	getStatus() {
+		return this.request('GET', '/status');
+	}
+
+	/**
+	 * 获取每个定时任务接下来的执行时间
+	 * @param {number} count - 每个任务返回的次数，服务端最多 100 次
+	 * @returns {Promise<Object>} { timezone, schedules }
+	 */
+	getNextRuns(count = 5) {
+		return this.request('GET', `/next-runs?count=${count}`);
+	}
+
+	/**
+	 * 获取最近一次签到结果
+	 * 没有签到记录时请求失败（404）
+	 * @returns {Promise<Object>} 签到历史记录
+	 */
+	getLastResults() {
+		return this.request('GET', '/results/last');
+	}
+
+	/**
+	 * 让守护进程立即在后台执行一轮签到
+	 * 已有签到正在执行时请求失败（409）
+	 * @param {Object} options - 选项
+	 * @param {Array<string>} options.platforms - 要签到的平台，不指定时执行所有启用的平台
+	 * @param {boolean} options.parallel - 是否并行执行
+	 * @param {boolean} options.retry - 失败后是否重试，默认重试
+	 * @returns {Promise<Object>} { accepted, parallel, platforms, retry, trigger }
+	 */
+	triggerRun(options = {}) {
+		return this.request('POST', '/run', options);
+	}
+
+	/**
+	 * 暂停定时任务
+	 * @param {string} name - 任务名
+	 * @returns {Promise<Object>} { name, paused, schedule }
+	 */
+	pauseSchedule(name) {
+		return this.request(
+			'POST',
+			`/schedules/${encodeURIComponent(name)}/pause`
+		);
+	}
+
+	/**
+	 * 恢复已暂停的定时任务
+	 * @param {string} name - 任务名
+	 * @returns {Promise<Object>} { name, paused, schedule }
+	 */
+	resumeSchedule(name) {
+		return this.request(
+			'POST',
+			`/schedules/${encodeURIComponent(name)}/resume`
+		);
+	}
+
+	/**
+	 * 停止守护进程
+	 * @returns {Promise<Object>} { stopping, pid }
+	 */
+	shutdown() {
+		return this.request('POST', '/shutdown');
+	}
+
+	/**
+	 * 提交登录验证码给正在等待的守护进程
+	 * 守护进程没有在等待该平台的验证码时请求失败（404）
+	 * @param {string} platform - 平台名称（多账号时为 平台:账号）
+	 * @param {string} code - 验证码
+	 * @returns {Promise<Object>} { platform, accepted }
+	 */
+	submitVerificationCode(platform, code) {
+		return this.request('POST', '/verification-code', { platform, code });
+	}
+}
+
+export default new ControlClient();
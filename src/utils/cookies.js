@@ -0,0 +1,193 @@
+/**
+ * Cookie 导入工具函数
+ * 将浏览器中导出的 Cookie 转换为 Playwright storageState 使用的格式，支持：
+ *   - 请求头中的 Cookie 字符串（name=value; name2=value2）
+ *   - Netscape cookies.txt（curl、wget 及多数浏览器扩展导出的格式）
+ *   - JSON（Cookie-Editor / EditThisCookie 等扩展导出的数组，或 Playwright storageState）
+ */
+
+const SAME_SITE_VALUES = {
+	strict: 'Strict',
+	lax: 'Lax',
+	none: 'None',
+	no_restriction: 'None',
+};
+
+/**
+ * 判断 Cookie 内容的格式
+ * @param {string} text - Cookie 内容
+ * @returns {string} header / netscape / json
+ */
+export function detectCookieFormat(text) {
+	const trimmed = text.trim();
+
+	if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+		return 'json';
+	}
+
+	const isNetscape = trimmed
+		.split(/\r?\n/)
+		.some(
+			(line) =>
+				/^#\s*(Netscape )?HTTP Cookie File/i.test(line) ||
+				line.split('\t').length === 7
+		);
+	return isNetscape ? 'netscape' : 'header';
+}
+
+/**
+ * 转换为 Playwright 的 Cookie 对象
+ * @param {Object} cookie - Cookie 字段
+ * @returns {Object} Playwright Cookie
+ */
+function toPlaywrightCookie(cookie) {
+	let sameSite =
+		SAME_SITE_VALUES[String(cookie.sameSite || '').toLowerCase()] || 'Lax';
+	// Chromium 会拒绝没有 Secure 属性的 SameSite=None Cookie
+	if (sameSite === 'None' && !cookie.secure) {
+		sameSite = 'Lax';
+	}
+
+	return {
+		name: cookie.name,
+		value: cookie.value,
+		domain: cookie.domain,
+		path: cookie.path || '/',
+		expires: cookie.expires > 0 ? Math.floor(cookie.expires) : -1,
+		httpOnly: Boolean(cookie.httpOnly),
+		secure: Boolean(cookie.secure),
+		sameSite,
+	};
+}
+
+/**
+ * 解析请求头中的 Cookie 字符串，请求头不包含域名和过期时间，使用平台域名并视为会话 Cookie
+ * @param {string} text - Cookie 字符串，可以带 "Cookie:" 前缀
+ * @param {string} domain - Cookie 所属域名
+ * @returns {Array} Cookie 列表
+ */
+function parseCookieHeader(text, domain) {
+	return text
+		.trim()
+		.replace(/^cookie:\s*/i, '')
+		.split(';')
+		.map((pair) => pair.trim())
+		.filter((pair) => pair.includes('='))
+		.map((pair) => {
+			const index = pair.indexOf('=');
+			return toPlaywrightCookie({
+				name: pair.slice(0, index).trim(),
+				value: pair.slice(index + 1).trim(),
+				domain,
+				secure: true,
+			});
+		});
+}
+
+/**
+ * 解析 Netscape cookies.txt
+ * 每行依次为：域名、是否包含子域名、路径、是否仅 HTTPS、过期时间、名称、值
+ * 以 #HttpOnly_ 开头的行表示 HttpOnly Cookie
+ * @param {string} text - 文件内容
+ * @returns {Array} Cookie 列表
+ */
+function parseNetscapeCookies(text) {
+	const cookies = [];
+
+	for (const rawLine of text.split(/\r?\n/)) {
+		let line = rawLine.trim();
+		let httpOnly = false;
+
+		if (line.startsWith('#HttpOnly_')) {
+			line = line.slice('#HttpOnly_'.length);
+			httpOnly = true;
+		} else if (!line || line.startsWith('#')) {
+			continue;
+		}
+
+		const fields = line.split('\t');
+		if (fields.length < 7) {
+			continue;
+		}
+
+		const [domain, , cookiePath, secure, expires, name, ...value] = fields;
+		cookies.push(
+			toPlaywrightCookie({
+				name,
+				value: value.join('\t'),
+				domain,
+				path: cookiePath,
+				expires: Number(expires),
+				httpOnly,
+				secure: secure.toUpperCase() === 'TRUE',
+			})
+		);
+	}
+
+	return cookies;
+}
+
+/**
+ * 解析 JSON 格式的 Cookie
+ * @param {string} text - JSON 内容
+ * @param {string} domain - 缺少域名字段时使用的域名
+ * @returns {Array} Cookie 列表
+ */
+function parseJsonCookies(text, domain) {
+	const data = JSON.parse(text);
+	const list = Array.isArray(data) ? data : data.cookies;
+	if (!Array.isArray(list)) {
+		throw new Error('JSON 中没有找到 Cookie 列表');
+	}
+
+	return list
+		.filter((cookie) => cookie && cookie.name)
+		.map((cookie) =>
+			toPlaywrightCookie({
+				...cookie,
+				domain: cookie.domain || domain,
+				value: String(cookie.value ?? ''),
+				// 浏览器扩展使用 expirationDate，会话 Cookie 带 session: true
+				expires: cookie.session
+					? -1
+					: (cookie.expires ?? cookie.expirationDate ?? cookie.expiry),
+			})
+		);
+}
+
+/**
+ * 解析导出的 Cookie
+ * @param {string} text - Cookie 内容
+ * @param {string} domain - 平台的 Cookie 域名，如 .bilibili.com
+ * @returns {Object} { format, cookies }
+ */
+export function parseCookies(text, domain) {
+	const format = detectCookieFormat(text);
+
+	let cookies;
+	if (format === 'json') {
+		try {
+			cookies = parseJsonCookies(text, domain);
+		} catch (error) {
+			throw new Error(`无法解析 JSON 格式的 Cookie: ${error.message}`);
+		}
+	} else if (format === 'netscape') {
+		cookies = parseNetscapeCookies(text);
+	} else {
+		cookies = parseCookieHeader(text, domain);
+	}
+
+	return { format, cookies };
+}
+
+/**
+ * Cookie 是否属于指定域名（含子域名）
+ * @param {Object} cookie - Cookie
+ * @param {string} domain - 域名，如 .bilibili.com
+ * @returns {boolean} 是否属于该域名
+ */
+export function cookieMatchesDomain(cookie, domain) {
+	const base = domain.replace(/^\./, '');
+	const cookieDomain = cookie.domain.replace(/^\./, '');
+	return cookieDomain === base || cookieDomain.endsWith(`.${base}`);
+}
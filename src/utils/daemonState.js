@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * 守护进程状态文件管理类
+ * 守护进程运行时将定时任务状态写入文件，供其他进程（如 --schedule-status）读取
+ */
+class DaemonState {
+	constructor() {
+		this.dataDir = path.join(__dirname, '../../data');
+		this.statePath = path.join(this.dataDir, 'daemon.json');
+	}
+
+	/**
+	 * 写入守护进程状态
+	 * @param {Object} status - 定时任务状态
+	 */
+	write(status) {
+		try {
+			if (!fs.existsSync(this.dataDir)) {
+				fs.mkdirSync(this.dataDir, { recursive: true });
+			}
+
+			const state = {
+				pid: process.pid,
+				updatedAt: new Date().toISOString(),
+				...status,
+			};
+			fs.writeFileSync(this.statePath, JSON.stringify(state, null, 2));
+		} catch (error) {
+			logger.warn(`写入守护进程状态失败: ${error.message}`);
+		}
+	}
+
+	/**
+	 * 读取正在运行的守护进程状态
+	 * @returns {Object|null} 守护进程状态，未运行时返回 null
+	 */
+	read() {
+		if (!fs.existsSync(this.statePath)) {
+			return null;
+		}
+
+		try {
+			const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+
+			// 进程已退出但状态文件残留时视为未运行
+			if (!this.isProcessAlive(state.pid)) {
+				return null;
+			}
+
+			return state;
+		} catch (error) {
+			logger.warn(`读取守护进程状态失败: ${error.message}`);
+			return null;
+		}
+	}
+
+	/**
+	 * 清除守护进程状态
+	 */
+	clear() {
+		try {
+			if (fs.existsSync(this.statePath)) {
+				fs.unlinkSync(this.statePath);
+			}
+		} catch (error) {
+			logger.warn(`清除守护进程状态失败: ${error.message}`);
+		}
+	}
+
+	/**
+	 * 检查进程是否仍在运行
+	 * @param {number} pid - 进程ID
+	 * @returns {boolean} 是否运行中
+	 */
+	isProcessAlive(pid) {
+		try {
+			process.kill(pid, 0);
+			return true;
+		} catch (error) {
+			return error.code === 'EPERM';
+		}
+	}
+}
+
+export default new DaemonState();
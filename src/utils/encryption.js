@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+// scrypt 参数：N=2^15 约需 32MB 内存，单次派生在百毫秒以内
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+/**
+ * 加密工具类
+ * 使用主密码（MASTER_PASSPHRASE）或密钥文件（MASTER_KEY_FILE）通过 scrypt 派生密钥，
+ * 以 AES-256-GCM 加密数据。每份数据使用独立的随机盐和 IV。
+ */
+class Encryption {
+	constructor() {
+		this.keyCache = new Map();
+	}
+
+	/**
+	 * 读取主密钥材料
+	 * @returns {Buffer|null} 主密码或密钥文件内容，未配置时返回 null
+	 */
+	getSecret() {
+		if (process.env.MASTER_KEY_FILE) {
+			try {
+				const content = fs.readFileSync(process.env.MASTER_KEY_FILE);
+				// 忽略文件末尾的换行，避免编辑器自动添加的换行影响密钥
+				return Buffer.from(content.toString('utf8').trimEnd(), 'utf8');
+			} catch (error) {
+				throw new Error(`读取密钥文件失败: ${error.message}`);
+			}
+		}
+
+		if (process.env.MASTER_PASSPHRASE) {
+			return Buffer.from(process.env.MASTER_PASSPHRASE, 'utf8');
+		}
+
+		return null;
+	}
+
+	/**
+	 * 是否配置了主密码或密钥文件
+	 * @returns {boolean} 是否可以加解密
+	 */
+	isEnabled() {
+		return !!(process.env.MASTER_KEY_FILE || process.env.MASTER_PASSPHRASE);
+	}
+
+	/**
+	 * 根据盐派生密钥（结果按盐缓存）
+	 * @param {Buffer} salt - 盐
+	 * @returns {Buffer} 密钥
+	 */
+	deriveKey(salt) {
+		const secret = this.getSecret();
+		if (!secret) {
+			throw new Error('未配置主密码，请设置 MASTER_PASSPHRASE 或 MASTER_KEY_FILE');
+		}
+
+		const cacheKey = crypto
+			.createHash('sha256')
+			.update(secret)
+			.update(salt)
+			.digest('hex');
+		if (!this.keyCache.has(cacheKey)) {
+			this.keyCache.set(
+				cacheKey,
+				crypto.scryptSync(secret, salt, KEY_LENGTH, SCRYPT_OPTIONS)
+			);
+		}
+		return this.keyCache.get(cacheKey);
+	}
+
+	/**
+	 * 判断数据是否为加密后的信封格式
+	 * @param {Object} data - 解析后的 JSON
+	 * @returns {boolean} 是否已加密
+	 */
+	isEncrypted(data) {
+		return !!(data && data.encrypted === true && data.algorithm === ALGORITHM);
+	}
+
+	/**
+	 * 加密对象
+	 * @param {Object} value - 要加密的对象
+	 * @returns {Object} 加密信封 { encrypted, version, algorithm, kdf, salt, iv, tag, data }
+	 */
+	encrypt(value) {
+		const salt = crypto.randomBytes(SALT_LENGTH);
+		const iv = crypto.randomBytes(IV_LENGTH);
+		const cipher = crypto.createCipheriv(ALGORITHM, this.deriveKey(salt), iv);
+		const data = Buffer.concat([
+			cipher.update(JSON.stringify(value), 'utf8'),
+			cipher.final(),
+		]);
+
+		return {
+			encrypted: true,
+			version: 1,
+			algorithm: ALGORITHM,
+			kdf: 'scrypt',
+			salt: salt.toString('base64'),
+			iv: iv.toString('base64'),
+			tag: cipher.getAuthTag().toString('base64'),
+			data: data.toString('base64'),
+		};
+	}
+
+	/**
+	 * 解密信封
+	 * @param {Object} envelope - 加密信封
+	 * @returns {Object} 解密后的对象
+	 */
+	decrypt(envelope) {
+		const decipher = crypto.createDecipheriv(
+			ALGORITHM,
+			this.deriveKey(Buffer.from(envelope.salt, 'base64')),
+			Buffer.from(envelope.iv, 'base64')
+		);
+		decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+		try {
+			const plaintext = Buffer.concat([
+				decipher.update(Buffer.from(envelope.data, 'base64')),
+				decipher.final(),
+			]);
+			return JSON.parse(plaintext.toString('utf8'));
+		} catch (error) {
+			throw new Error('解密失败，主密码错误或数据已损坏');
+		}
+	}
+}
+
+export default new Encryption();
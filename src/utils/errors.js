@@ -0,0 +1,193 @@
+/**
+ * 签到错误基类
+ * code 为稳定的错误代码，同时作为签到结果中的 failureReason；
+ * retryable 表示重试是否有可能成功，为 false 时不再重试，需要人工处理
+ */
+export class SignInError extends Error {
+	/**
+	 * @param {string} message - 错误信息
+	 * @param {Object} options - 选项
+	 * @param {string} options.code - 错误代码
+	 * @param {boolean} options.retryable - 是否可以重试，默认 true
+	 * @param {Error} options.cause - 原始错误
+	 */
+	constructor(message, options = {}) {
+		super(message, options.cause ? { cause: options.cause } : undefined);
+		this.name = this.constructor.name;
+		this.code = options.code || 'unknown';
+		this.retryable = options.retryable !== false;
+	}
+}
+
+/**
+ * 账号信息不完整，需要补充配置
+ */
+export class CredentialsMissingError extends SignInError {
+	constructor(message, options = {}) {
+		super(message, {
+			...options,
+			code: 'credentials_missing',
+			retryable: false,
+		});
+	}
+}
+
+/**
+ * 平台拒绝登录，如账号或密码错误
+ */
+export class LoginRejectedError extends SignInError {
+	constructor(message, options = {}) {
+		super(message, { ...options, code: 'login_rejected', retryable: false });
+	}
+}
+
+/**
+ * 登录需要验证码且未能通过，重试仍会遇到验证码
+ */
+export class CaptchaRequiredError extends SignInError {
+	constructor(message = '登录需要验证码', options = {}) {
+		super(message, { ...options, code: 'captcha_required', retryable: false });
+	}
+}
+
+/**
+ * 没有收到登录验证码，重试会重复发送短信
+ */
+export class VerificationCodeRequiredError extends SignInError {
+	constructor(message = '没有收到登录验证码', options = {}) {
+		super(message, {
+			...options,
+			code: 'verification_code_required',
+			retryable: false,
+		});
+	}
+}
+
+/**
+ * 登录验证码未通过
+ */
+export class VerificationCodeRejectedError extends SignInError {
+	constructor(message = '登录验证码未通过', options = {}) {
+		super(message, { ...options, code: 'verification_code_rejected' });
+	}
+}
+
+/**
+ * 页面上找不到需要的元素，可能是页面加载不完整或改版
+ */
+export class SelectorNotFoundError extends SignInError {
+	/**
+	 * @param {string} message - 错误信息
+	 * @param {string} selector - 选择器
+	 * @param {Object} options - 选项
+	 */
+	constructor(message, selector, options = {}) {
+		super(message, { ...options, code: 'selector_not_found' });
+		this.selector = selector;
+	}
+}
+
+/**
+ * 打开页面超时
+ */
+export class NavigationTimeoutError extends SignInError {
+	constructor(message, options = {}) {
+		super(message, { ...options, code: 'navigation_timeout' });
+	}
+}
+
+/**
+ * 浏览器启动失败，浏览器未安装时不可重试
+ */
+export class BrowserLaunchFailedError extends SignInError {
+	constructor(message, options = {}) {
+		super(message, { ...options, code: 'browser_launch_failed' });
+	}
+}
+
+/**
+ * 网络不可用（域名解析失败、连接被拒绝、请求超时等）
+ */
+export class NetworkUnavailableError extends SignInError {
+	constructor(message, options = {}) {
+		super(message, { ...options, code: 'network_unavailable' });
+	}
+}
+
+/**
+ * API 模式没有保存的登录状态
+ */
+export class SessionMissingError extends SignInError {
+	constructor(message = '没有可用的登录状态', options = {}) {
+		super(message, { ...options, code: 'session_missing', retryable: false });
+	}
+}
+
+/**
+ * API 模式保存的登录状态已失效，API 模式无法重新登录
+ */
+export class SessionExpiredError extends SignInError {
+	constructor(message = '登录状态已失效', options = {}) {
+		super(message, { ...options, code: 'session_expired', retryable: false });
+	}
+}
+
+/**
+ * 保存的登录状态无法读取，如会话文件已加密但未配置主密码、主密码错误
+ */
+export class SessionLoadError extends SignInError {
+	constructor(message, options = {}) {
+		super(message, {
+			...options,
+			code: 'session_load_failed',
+			retryable: false,
+		});
+	}
+}
+
+/**
+ * Chromium 和 Node.js 的网络错误特征
+ */
+const NETWORK_ERROR_PATTERN =
+	/net::ERR_(NAME_NOT_RESOLVED|INTERNET_DISCONNECTED|CONNECTION_(REFUSED|RESET|CLOSED|TIMED_OUT)|ADDRESS_UNREACHABLE|NETWORK_CHANGED|TIMED_OUT|PROXY_CONNECTION_FAILED)|ENOTFOUND|EAI_AGAIN|ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENETUNREACH/;
+
+/**
+ * 将任意错误归类为 SignInError
+ * 已经是 SignInError 的原样返回；无法归类的错误代码为「阶段_failed」，可以重试
+ * @param {Error} error - 原始错误
+ * @param {string} phase - 出错时所处的阶段：browser、navigation、login、signin、api 等
+ * @returns {SignInError} 归类后的错误
+ */
+export function classifyError(error, phase) {
+	if (error instanceof SignInError) {
+		return error;
+	}
+
+	// Playwright 的错误信息可能有多行，只保留第一行
+	const message = String(error?.message || error).split('\n')[0];
+	// fetch 的网络错误在 cause 中
+	const detail = `${error?.message} ${error?.cause?.code || ''}`;
+	const options = { cause: error };
+
+	if (phase === 'browser') {
+		// 浏览器未安装时重试也不会成功
+		const notInstalled = /Executable doesn't exist/.test(detail);
+		return new BrowserLaunchFailedError(message, {
+			...options,
+			retryable: !notInstalled,
+		});
+	}
+	if (NETWORK_ERROR_PATTERN.test(detail)) {
+		return new NetworkUnavailableError(message, options);
+	}
+	if (error?.name === 'TimeoutError') {
+		// 打开页面超时；API 请求超时（AbortSignal.timeout）视为网络不可用
+		if (phase === 'navigation') {
+			return new NavigationTimeoutError(message, options);
+		}
+		if (phase === 'api') {
+			return new NetworkUnavailableError(message, options);
+		}
+	}
+	return new SignInError(message, { ...options, code: `${phase}_failed` });
+}
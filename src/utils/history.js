@@ -0,0 +1,271 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import scheduleConfig from './scheduleConfig.js';
+import { SIGNIN_STATUS } from './signInResult.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * 签到历史记录管理类
+ * 每次执行的结果以 JSONL 格式追加到 data/history.jsonl
+ */
+class HistoryStore {
+	constructor() {
+		this.dataDir = path.join(__dirname, '../../data');
+		this.historyPath = path.join(this.dataDir, 'history.jsonl');
+		this.timezone = scheduleConfig.getTimezone();
+	}
+
+	/**
+	 * 生成执行ID，格式为 YYYYMMDD-HHmmss-xxxx，便于按时间排序
+	 * @returns {string} 执行ID
+	 */
+	createRunId() {
+		// sv-SE 格式为 "YYYY-MM-DD HH:mm:ss"
+		const stamp = new Date()
+			.toLocaleString('sv-SE', { timeZone: this.timezone })
+			.replace(/[-:]/g, '')
+			.replace(' ', '-');
+		return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+	}
+
+	/**
+	 * 追加一次执行记录
+	 * @param {Object} run - 执行记录
+	 * @param {string} run.runId - 执行ID
+	 * @param {string} run.trigger - 触发来源：cron / manual / cli
+	 * @param {string} run.startedAt - 开始时间
+	 * @param {number} run.duration - 总耗时（毫秒）
+	 * @param {Array} run.results - 各平台签到结果
+	 */
+	append(run) {
+		try {
+			if (!fs.existsSync(this.dataDir)) {
+				fs.mkdirSync(this.dataDir, { recursive: true });
+			}
+
+			const record = {
+				runId: run.runId,
+				trigger: run.trigger,
+				startedAt: run.startedAt,
+				finishedAt: new Date().toISOString(),
+				duration: run.duration,
+				results: run.results.map((result) => ({
+					platform: result.platform,
+					account: result.account,
+					target: result.target,
+					displayName: result.displayName,
+					mode: result.mode,
+					status: result.status,
+					success: result.success,
+					message: result.message,
+					error: result.error,
+					failureReason: result.failureReason,
+					reward: result.reward,
+					streak: result.streak,
+					loginMethod: result.loginMethod,
+					timings: result.timings,
+					artifacts: result.artifacts,
+					attempts: result.attempts ? result.attempts.length : 1,
+					duration: result.duration,
+					timestamp: result.timestamp,
+				})),
+			};
+
+			fs.appendFileSync(this.historyPath, JSON.stringify(record) + '\n');
+		} catch (error) {
+			logger.warn(`保存签到历史失败: ${error.message}`);
+		}
+	}
+
+	/**
+	 * 查询历史记录
+	 * @param {Object} options - 查询选项
+	 * @param {string} options.platform - 只返回包含该平台（或 平台:账号）的记录
+	 * @param {number} options.days - 最近多少天
+	 * @returns {Array} 执行记录（按时间升序）
+	 */
+	query(options = {}) {
+		const { platform, days } = options;
+
+		if (!fs.existsSync(this.historyPath)) {
+			return [];
+		}
+
+		const since = days ? Date.now() - days * DAY_MS : 0;
+		const runs = [];
+
+		const lines = fs.readFileSync(this.historyPath, 'utf8').split('\n');
+		for (const line of lines) {
+			if (!line.trim()) continue;
+
+			try {
+				const run = JSON.parse(line);
+				if (new Date(run.startedAt).getTime() < since) continue;
+
+				if (platform) {
+					run.results = run.results.filter(
+						(r) => r.platform === platform || r.target === platform
+					);
+					if (run.results.length === 0) continue;
+				}
+
+				runs.push(run);
+			} catch (error) {
+				logger.warn(`跳过损坏的历史记录: ${error.message}`);
+			}
+		}
+
+		return runs;
+	}
+
+	/**
+	 * 按天汇总每个平台的签到情况，多账号平台按账号分别汇总
+	 * @param {Object} options - 查询选项，同 query
+	 * @returns {Object} { days: 日期列表, platforms: { 平台或平台:账号: { displayName, days: { 日期: 'success'|'failed'|'skipped' }, currentStreak, longestStreak } } }
+	 */
+	getCalendar(options = {}) {
+		const days = options.days || 30;
+		const runs = this.query({ ...options, days });
+
+		const dayKeys = [];
+		for (let i = days - 1; i >= 0; i--) {
+			dayKeys.push(this.formatDay(new Date(Date.now() - i * DAY_MS)));
+		}
+
+		const platforms = {};
+		for (const run of runs) {
+			for (const result of run.results) {
+				const key = this.getResultKey(result);
+				if (!platforms[key]) {
+					platforms[key] = {
+						displayName: result.displayName,
+						days: {},
+					};
+				}
+				const entry = platforms[key];
+				const day = this.formatDay(new Date(result.timestamp || run.startedAt));
+
+				// 同一天只要有一次成功即视为已签到；跳过（没有执行签到）的优先级最低
+				if (result.success) {
+					entry.days[day] = 'success';
+				} else if (result.status !== SIGNIN_STATUS.SKIPPED) {
+					if (entry.days[day] !== 'success') {
+						entry.days[day] = 'failed';
+					}
+				} else if (!entry.days[day]) {
+					entry.days[day] = 'skipped';
+				}
+			}
+		}
+
+		for (const entry of Object.values(platforms)) {
+			Object.assign(entry, this.computeStreaks(entry.days, dayKeys));
+		}
+
+		return { days: dayKeys, platforms };
+	}
+
+	/**
+	 * 统计每个平台的签到成功率
+	 * @param {number} days - 最近多少天
+	 * @returns {Array} [{ platform, account, target, displayName, total, success, successRate, successDays, currentStreak }]
+	 */
+	getPlatformStats(days = 7) {
+		const runs = this.query({ days });
+		const calendar = this.getCalendar({ days });
+		const stats = {};
+
+		for (const run of runs) {
+			for (const result of run.results) {
+				const key = this.getResultKey(result);
+				if (!stats[key]) {
+					stats[key] = {
+						platform: result.platform,
+						account: result.account,
+						target: key,
+						displayName: result.displayName,
+						total: 0,
+						success: 0,
+					};
+				}
+				stats[key].total++;
+				if (result.success) {
+					stats[key].success++;
+				}
+			}
+		}
+
+		return Object.values(stats).map((entry) => {
+			const dayStatus = calendar.platforms[entry.target];
+			return {
+				...entry,
+				successRate: Math.round((entry.success / entry.total) * 100),
+				successDays: Object.values(dayStatus.days).filter(
+					(status) => status === 'success'
+				).length,
+				currentStreak: dayStatus.currentStreak,
+			};
+		});
+	}
+
+	/**
+	 * 结果的汇总键，旧记录没有 target 字段时使用平台名称
+	 * @param {Object} result - 签到结果
+	 * @returns {string} 平台名称或 平台:账号
+	 */
+	getResultKey(result) {
+		return result.target || result.platform;
+	}
+
+	/**
+	 * 计算连续签到天数，跳过的日子既不计入也不中断连续签到
+	 * @param {Object} dayStatus - 每天的签到状态
+	 * @param {string[]} dayKeys - 日期列表（升序）
+	 * @returns {Object} { currentStreak, longestStreak }
+	 */
+	computeStreaks(dayStatus, dayKeys) {
+		let longestStreak = 0;
+		let streak = 0;
+		for (const day of dayKeys) {
+			if (dayStatus[day] === 'skipped') {
+				continue;
+			}
+			streak = dayStatus[day] === 'success' ? streak + 1 : 0;
+			longestStreak = Math.max(longestStreak, streak);
+		}
+
+		// 今天还没签到时，从昨天开始往前计算当前连续天数
+		let currentStreak = 0;
+		let index = dayKeys.length - 1;
+		if (!['success', 'skipped'].includes(dayStatus[dayKeys[index]])) {
+			index--;
+		}
+		for (; index >= 0; index--) {
+			const status = dayStatus[dayKeys[index]];
+			if (status === 'success') {
+				currentStreak++;
+			} else if (status !== 'skipped') {
+				break;
+			}
+		}
+
+		return { currentStreak, longestStreak };
+	}
+
+	/**
+	 * 按配置的时区格式化日期
+	 * @param {Date} date - 日期
+	 * @returns {string} YYYY-MM-DD
+	 */
+	formatDay(date) {
+		return date.toLocaleDateString('sv-SE', { timeZone: this.timezone });
+	}
+}
+
+export default new HistoryStore();
@@ -165,6 +165,19 @@ const enhancedLogger = {
 	info: logger.info.bind(logger),
 	debug: logger.debug.bind(logger),
 
+	/**
+	 * 开启或关闭控制台日志输出，日志文件不受影响
+	 * 用于需要输出纯 JSON 的命令，避免日志混入标准输出
+	 * @param {boolean} enabled - 是否输出到控制台
+	 */
+	setConsoleOutput(enabled) {
+		logger.transports
+			.filter((transport) => transport instanceof winston.transports.Console)
+			.forEach((transport) => {
+				transport.silent = !enabled;
+			});
+	},
+
 	/**
 	 * 输出带有边框的标题
 	 * @param {string} title - 标题内容
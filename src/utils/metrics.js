@@ -0,0 +1,330 @@
+import sessionManager from './session.js';
+import config from './config.js';
+import history from './history.js';
+import logger from './logger.js';
+
+/**
+ * 转义 Prometheus 标签值
+ * @param {*} value - 标签值
+ * @returns {string} 转义后的值
+ */
+function escapeLabel(value) {
+	return String(value ?? '')
+		.replace(/\\/g, '\\\\')
+		.replace(/\n/g, '\\n')
+		.replace(/"/g, '\\"');
+}
+
+/**
+ * 生成标签字符串，如 {platform="juejin"}
+ * @param {Object} labels - 标签
+ * @returns {string} 标签字符串
+ */
+function formatLabels(labels) {
+	const pairs = Object.entries(labels).map(
+		([name, value]) => `${name}="${escapeLabel(value)}"`
+	);
+	return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * 带标签的指标基类
+ */
+class LabeledMetric {
+	constructor(name, help, type, labelNames = []) {
+		this.name = name;
+		this.help = help;
+		this.type = type;
+		this.labelNames = labelNames;
+		this.values = new Map();
+	}
+
+	/**
+	 * 获取标签组合对应的键
+	 * @param {Object} labels - 标签
+	 * @returns {string} 键
+	 */
+	key(labels) {
+		return JSON.stringify(this.labelNames.map((name) => labels[name] ?? ''));
+	}
+
+	/**
+	 * 还原键对应的标签
+	 * @param {string} key - 键
+	 * @returns {Object} 标签
+	 */
+	labelsOf(key) {
+		const values = JSON.parse(key);
+		return Object.fromEntries(
+			this.labelNames.map((name, index) => [name, values[index]])
+		);
+	}
+
+	/**
+	 * 输出指标头部
+	 * @returns {string[]} HELP 和 TYPE 行
+	 */
+	header() {
+		return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+	}
+}
+
+/**
+ * 计数器
+ */
+class Counter extends LabeledMetric {
+	constructor(name, help, labelNames) {
+		super(name, help, 'counter', labelNames);
+	}
+
+	inc(labels = {}, value = 1) {
+		const key = this.key(labels);
+		this.values.set(key, (this.values.get(key) || 0) + value);
+	}
+
+	render() {
+		const lines = this.header();
+		this.values.forEach((value, key) => {
+			lines.push(`${this.name}${formatLabels(this.labelsOf(key))} ${value}`);
+		});
+		return lines;
+	}
+}
+
+/**
+ * 仪表盘，值可以直接设置
+ */
+class Gauge extends LabeledMetric {
+	constructor(name, help, labelNames) {
+		super(name, help, 'gauge', labelNames);
+	}
+
+	set(labels = {}, value) {
+		this.values.set(this.key(labels), value);
+	}
+
+	reset() {
+		this.values.clear();
+	}
+
+	render() {
+		const lines = this.header();
+		this.values.forEach((value, key) => {
+			lines.push(`${this.name}${formatLabels(this.labelsOf(key))} ${value}`);
+		});
+		return lines;
+	}
+}
+
+/**
+ * 直方图
+ */
+class Histogram extends LabeledMetric {
+	constructor(name, help, labelNames, buckets) {
+		super(name, help, 'histogram', labelNames);
+		this.buckets = buckets;
+	}
+
+	observe(labels = {}, value) {
+		const key = this.key(labels);
+		if (!this.values.has(key)) {
+			this.values.set(key, {
+				counts: this.buckets.map(() => 0),
+				sum: 0,
+				count: 0,
+			});
+		}
+
+		const entry = this.values.get(key);
+		this.buckets.forEach((bucket, index) => {
+			if (value <= bucket) {
+				entry.counts[index]++;
+			}
+		});
+		entry.sum += value;
+		entry.count++;
+	}
+
+	render() {
+		const lines = this.header();
+		this.values.forEach((entry, key) => {
+			const labels = this.labelsOf(key);
+			this.buckets.forEach((bucket, index) => {
+				lines.push(
+					`${this.name}_bucket${formatLabels({
+						...labels,
+						le: bucket,
+					})} ${entry.counts[index]}`
+				);
+			});
+			lines.push(
+				`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${
+					entry.count
+				}`
+			);
+			lines.push(`${this.name}_sum${formatLabels(labels)} ${entry.sum}`);
+			lines.push(`${this.name}_count${formatLabels(labels)} ${entry.count}`);
+		});
+		return lines;
+	}
+}
+
+/**
+ * 签到指标收集器
+ * 记录每次签到尝试的结果和耗时，以 Prometheus 文本格式输出
+ */
+class Metrics {
+	constructor() {
+		this.attempts = new Counter(
+			'signin_attempts_total',
+			'签到尝试次数',
+			['platform', 'account']
+		);
+		this.successes = new Counter(
+			'signin_successes_total',
+			'签到成功次数',
+			['platform', 'account']
+		);
+		this.failures = new Counter(
+			'signin_failures_total',
+			'签到失败次数（按失败原因）',
+			['platform', 'account', 'reason']
+		);
+		this.runDuration = new Histogram(
+			'signin_run_duration_seconds',
+			'单个平台一次签到尝试的耗时',
+			['platform'],
+			[5, 10, 20, 30, 60, 120, 300, 600]
+		);
+		this.loginDuration = new Histogram(
+			'signin_login_duration_seconds',
+			'需要重新登录时登录流程的耗时',
+			['platform'],
+			[1, 2, 5, 10, 20, 30, 60, 120]
+		);
+		this.sessionAge = new Gauge(
+			'signin_session_age_seconds',
+			'保存的登录状态距今的时长',
+			['platform', 'account']
+		);
+		this.lastSuccess = new Gauge(
+			'signin_last_success_timestamp_seconds',
+			'最近一次签到成功的时间（Unix 时间戳）',
+			['platform', 'account']
+		);
+		this.selectorMatches = new Counter(
+			'signin_selector_matches_total',
+			'选择器匹配次数（按命中的备选位置，1 为首选）',
+			['platform', 'selector', 'position']
+		);
+		this.seeded = false;
+	}
+
+	/**
+	 * 从签到历史中恢复每个平台最近一次成功的时间，守护进程重启后不会丢失
+	 */
+	seedFromHistory() {
+		if (this.seeded) {
+			return;
+		}
+		this.seeded = true;
+
+		try {
+			for (const run of history.query()) {
+				for (const result of run.results) {
+					if (result.success) {
+						this.lastSuccess.set(
+							{ platform: result.platform, account: result.account },
+							Math.floor(new Date(result.timestamp).getTime() / 1000)
+						);
+					}
+				}
+			}
+		} catch (error) {
+			logger.warn(`从签到历史恢复指标失败: ${error.message}`);
+		}
+	}
+
+	/**
+	 * 记录一次签到尝试
+	 * @param {Object} result - 签到结果
+	 */
+	recordAttempt(result) {
+		this.seedFromHistory();
+
+		const labels = { platform: result.platform, account: result.account };
+		this.attempts.inc(labels);
+		this.runDuration.observe(labels, (result.duration || 0) / 1000);
+
+		// 只有需要登录时才有 login 阶段
+		if (typeof result.timings?.login === 'number') {
+			this.loginDuration.observe(labels, result.timings.login / 1000);
+		}
+
+		if (result.success) {
+			this.successes.inc(labels);
+			this.lastSuccess.set(
+				labels,
+				Math.floor(new Date(result.timestamp).getTime() / 1000)
+			);
+		} else {
+			this.failures.inc({
+				...labels,
+				reason: result.failureReason || 'unknown',
+			});
+		}
+	}
+
+	/**
+	 * 记录一次选择器匹配，position 大于 1 说明首选选择器已经找不到元素
+	 * @param {string} platform - 平台名称
+	 * @param {string} selector - 选择器名称，如 signInButton
+	 * @param {number} position - 命中的备选位置，从 1 开始
+	 */
+	recordSelectorMatch(platform, selector, position) {
+		this.selectorMatches.inc({ platform, selector, position });
+	}
+
+	/**
+	 * 刷新登录状态时长
+	 */
+	collectSessionAge() {
+		this.sessionAge.reset();
+		sessionManager.getAllSessions().forEach((session) => {
+			// 多账号的会话键为 平台:账号
+			const { platform, account } = config.parseTarget(session.platform);
+			this.sessionAge.set(
+				{ platform, account },
+				Math.round(
+					(Date.now() - new Date(session.lastModified).getTime()) / 1000
+				)
+			);
+		});
+	}
+
+	/**
+	 * 以 Prometheus 文本格式输出所有指标
+	 * @returns {string} 指标文本
+	 */
+	render() {
+		this.seedFromHistory();
+		this.collectSessionAge();
+
+		return (
+			[
+				this.attempts,
+				this.successes,
+				this.failures,
+				this.runDuration,
+				this.loginDuration,
+				this.sessionAge,
+				this.lastSuccess,
+				this.selectorMatches,
+			]
+				.flatMap((metric) => metric.render())
+				.join('\n') + '\n'
+		);
+	}
+}
+
+export default new Metrics();
@@ -0,0 +1,94 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * 通知配置管理器
+ */
+class NotifyConfig {
+	constructor() {
+		this.configPath = join(__dirname, '../../config/notify.json');
+		this.config = null;
+		this.loadConfig();
+	}
+
+	/**
+	 * 加载配置文件
+	 */
+	loadConfig() {
+		try {
+			const configData = readFileSync(this.configPath, 'utf8');
+			this.config = JSON.parse(configData);
+		} catch (error) {
+			console.warn(`无法读取通知配置文件: ${error.message}`);
+			// 使用默认配置
+			this.config = this.getDefaultConfig();
+		}
+	}
+
+	/**
+	 * 获取默认配置
+	 * @returns {Object} 默认配置对象
+	 */
+	getDefaultConfig() {
+		return {
+			enabled: false,
+			templates: {
+				title: '{{statusIcon}} 自动签到 {{success}}/{{total}} 成功',
+				body: '{{details}}\n\n触发方式: {{trigger}}\n耗时: {{duration}} 秒\n时间: {{time}}',
+			},
+			channels: [],
+			digest: {
+				enabled: false,
+				cronExpression: '0 9 * * 1',
+				days: 7,
+				channels: ['email'],
+			},
+		};
+	}
+
+	/**
+	 * 是否启用通知
+	 * @returns {boolean} 是否启用
+	 */
+	isEnabled() {
+		return this.config.enabled !== false;
+	}
+
+	/**
+	 * 获取消息模板
+	 * @returns {Object} { title, body }
+	 */
+	getTemplates() {
+		return {
+			...this.getDefaultConfig().templates,
+			...this.config.templates,
+		};
+	}
+
+	/**
+	 * 获取周报配置
+	 * @returns {Object} { enabled, cronExpression, days, channels }
+	 */
+	getDigestConfig() {
+		return {
+			...this.getDefaultConfig().digest,
+			...this.config.digest,
+		};
+	}
+
+	/**
+	 * 获取已启用的通知渠道配置
+	 * @returns {Array} 渠道配置数组
+	 */
+	getChannels() {
+		return (this.config.channels || []).filter(
+			(channel) => channel.enabled !== false
+		);
+	}
+}
+
+export default new NotifyConfig();
@@ -0,0 +1,81 @@
+import readline from 'readline';
+
+// 标准输入不是终端时共用一个逐行读取器，避免多次提示之间丢失已缓冲的输入
+let pipedLines = null;
+
+/**
+ * 从管道输入中读取下一行
+ * @returns {Promise<string>} 输入内容，输入结束时返回空字符串
+ */
+async function readPipedLine() {
+	if (!pipedLines) {
+		pipedLines = readline
+			.createInterface({ input: process.stdin })
+			[Symbol.asyncIterator]();
+	}
+
+	const { value, done } = await pipedLines.next();
+	return done ? '' : value.trim();
+}
+
+/**
+ * 从终端读取一行输入
+ * 标准输入不是终端时（如管道输入）直接读取一行，便于脚本调用
+ * @param {string} question - 提示文字
+ * @param {Object} options - 选项
+ * @param {boolean} options.hidden - 是否隐藏输入内容（用于密码）
+ * @returns {Promise<string>} 输入内容
+ */
+export function prompt(question, options = {}) {
+	const { hidden = false } = options;
+
+	if (!process.stdin.isTTY) {
+		return readPipedLine();
+	}
+
+	return new Promise((resolve) => {
+		const rl = readline.createInterface({
+			input: process.stdin,
+			output: process.stdout,
+		});
+
+		if (hidden) {
+			// 只输出提示文字，不回显输入的字符
+			rl._writeToOutput = (text) => {
+				if (text.includes(question)) {
+					rl.output.write(text);
+				}
+			};
+		}
+
+		rl.question(question, (answer) => {
+			if (hidden) {
+				rl.output.write('\n');
+			}
+			rl.close();
+			resolve(answer.trim());
+		});
+	});
+}
+
+/**
+ * 确认提示，输入 y / yes 时返回 true
+ * @param {string} question - 提示文字
+ * @returns {Promise<boolean>} 是否确认
+ */
+export async function confirm(question) {
+	const answer = await prompt(`${question} (y/N) `);
+	return ['y', 'yes'].includes(answer.toLowerCase());
+}
+
+/**
+ * 读取全部标准输入，用于通过管道传入多行内容（如 cookies.txt）
+ * @returns {Promise<string>} 输入内容
+ */
+export async function readStdin() {
+	const chunks = [];
+	for await (const chunk of process.stdin) {
+		chunks.push(chunk);
+	}
+	return Buffer.concat(chunks).toString('utf8');
+}
@@ -0,0 +1,41 @@
+import jsQR from 'jsqr';
+import { PNG } from 'pngjs';
+import QRCode from 'qrcode';
+
+/**
+ * 二维码工具函数
+ * 识别页面截图中的登录二维码，并重新生成便于在终端和通知中展示的二维码
+ */
+
+/**
+ * 识别 PNG 图片中的二维码
+ * @param {Buffer} png - PNG 图片（如元素截图）
+ * @returns {string|null} 二维码内容，识别失败时返回 null
+ */
+export function decodeQrCode(png) {
+	const image = PNG.sync.read(png);
+	const code = jsQR(
+		new Uint8ClampedArray(image.data),
+		image.width,
+		image.height
+	);
+	return code ? code.data : null;
+}
+
+/**
+ * 生成可以在终端中显示的二维码（Unicode 半块字符）
+ * @param {string} content - 二维码内容
+ * @returns {Promise<string>} 二维码文本
+ */
+export function renderQrCodeToTerminal(content) {
+	return QRCode.toString(content, { type: 'terminal', small: true });
+}
+
+/**
+ * 生成二维码 PNG 图片，用于通知附件
+ * @param {string} content - 二维码内容
+ * @returns {Promise<Buffer>} PNG 图片
+ */
+export function renderQrCodeToPng(content) {
+	return QRCode.toBuffer(content, { type: 'png', margin: 2, width: 360 });
+}
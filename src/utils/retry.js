@@ -0,0 +1,35 @@
+/**
+ * 重试工具函数
+ * 根据重试策略计算带抖动的指数退避延迟
+ */
+
+/**
+ * 计算第 N 次重试前需要等待的时间
+ * @param {number} retryIndex - 重试序号（从1开始）
+ * @param {Object} policy - 重试策略
+ * @param {number} policy.retryDelay - 基础延迟（毫秒）
+ * @param {number} policy.backoffFactor - 指数退避倍数
+ * @param {number} policy.maxRetryDelay - 最大延迟（毫秒）
+ * @param {number} policy.jitter - 抖动比例（0-1）
+ * @returns {number} 等待时间（毫秒）
+ */
+export function computeRetryDelay(retryIndex, policy) {
+	const { retryDelay, backoffFactor, maxRetryDelay, jitter } = policy;
+
+	const exponential = retryDelay * Math.pow(backoffFactor, retryIndex - 1);
+	const capped = Math.min(exponential, maxRetryDelay);
+
+	// 在 [1 - jitter, 1 + jitter] 区间内随机浮动，避免多个任务同时重试
+	const factor = 1 + (Math.random() * 2 - 1) * jitter;
+
+	return Math.max(0, Math.round(capped * factor));
+}
+
+/**
+ * 等待指定时间
+ * @param {number} ms - 等待时间（毫秒）
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
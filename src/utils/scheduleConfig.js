@@ -60,6 +60,20 @@ class ScheduleConfig {
 			retryOnFailure: true,
 			maxRetries: 3,
 			retryDelay: 300000,
+			retryBackoffFactor: 2,
+			maxRetryDelay: 3600000,
+			retryJitter: 0.2,
+			controlApi: {
+				enabled: false,
+				host: '127.0.0.1',
+				port: 8765,
+				token: '',
+			},
+			sessionRefresh: {
+				enabled: false,
+				cronExpression: '0 4 * * *',
+				platforms: [],
+			},
 		};
 	}
 
@@ -89,6 +103,46 @@ class ScheduleConfig {
 		return presets.find((preset) => preset.name === name) || null;
 	}
 
+	/**
+	 * 获取多任务调度配置
+	 * 优先使用 schedules 数组，未配置时使用所有预设
+	 * @returns {Array} 已启用的调度配置数组
+	 */
+	getSchedules() {
+		const schedules =
+			Array.isArray(this.config.schedules) && this.config.schedules.length > 0
+				? this.config.schedules
+				: this.getPresetSchedules();
+		return schedules.filter((schedule) => schedule.enabled !== false);
+	}
+
+	/**
+	 * 获取守护进程控制接口配置
+	 * token 未配置时从环境变量 CONTROL_API_TOKEN 读取
+	 * @param {Object} override - 覆盖配置（如命令行参数）
+	 * @returns {Object} { enabled, host, port, token }
+	 */
+	getControlApiConfig(override = {}) {
+		const config = {
+			...this.getDefaultConfig().controlApi,
+			...this.config.controlApi,
+			...override,
+		};
+		config.token = config.token || process.env.CONTROL_API_TOKEN || '';
+		return config;
+	}
+
+	/**
+	 * 获取登录状态保活配置
+	 * @returns {Object} { enabled, cronExpression, platforms }
+	 */
+	getSessionRefreshConfig() {
+		return {
+			...this.getDefaultConfig().sessionRefresh,
+			...this.config.sessionRefresh,
+		};
+	}
+
 	/**
 	 * 获取时区配置
 	 * @returns {string} 时区
@@ -129,6 +183,24 @@ class ScheduleConfig {
 		return this.config.retryDelay || 300000; // 默认5分钟
 	}
 
+	/**
+	 * 获取重试策略，平台配置中的 retry 字段可覆盖全局设置
+	 * @param {Object} override - 平台级别的重试配置
+	 * @returns {Object} 重试策略
+	 */
+	getRetryPolicy(override = {}) {
+		return {
+			enabled: override.retryOnFailure ?? this.shouldRetryOnFailure(),
+			maxRetries: override.maxRetries ?? this.getMaxRetries(),
+			retryDelay: override.retryDelay ?? this.getRetryDelay(),
+			backoffFactor:
+				override.backoffFactor ?? (this.config.retryBackoffFactor || 2),
+			maxRetryDelay:
+				override.maxRetryDelay ?? (this.config.maxRetryDelay || 3600000), // 默认1小时
+			jitter: override.jitter ?? this.config.retryJitter ?? 0.2,
+		};
+	}
+
 	/**
 	 * 列出所有可用的预设
 	 * @returns {Array} 预设信息数组
@@ -175,10 +247,25 @@ class ScheduleConfig {
 			} else {
 				description += `每小时的第${minute}分钟`;
 			}
+		} else if (hour.startsWith('*/')) {
+			description += `每${hour.slice(2)}小时的第${minute}分钟`;
+		} else if (/^\d+(,\d+)*$/.test(hour) && /^\d+$/.test(minute)) {
+			const minuteText = parseInt(minute).toString().padStart(2, '0');
+			const times = hour
+				.split(',')
+				.map((h) => `${parseInt(h)}:${minuteText}`)
+				.join('、');
+			description += `每天${times}`;
 		} else {
-			const hourNum = parseInt(hour);
-			const minuteNum = parseInt(minute);
-			description += `每天${hourNum}:${minuteNum.toString().padStart(2, '0')}`;
+			description += `${hour}时${minute}分`;
+		}
+
+		// 处理日期和月份
+		if (day !== '*') {
+			description += ` (每月${day}日)`;
+		}
+		if (month !== '*') {
+			description += ` (${month}月)`;
 		}
 
 		// 处理星期
@@ -0,0 +1,109 @@
+/**
+ * 选择器出现的场景，doctor 命令据此判断找不到元素是否正常
+ *   logged_out  未登录时出现在页面上
+ *   logged_in   已登录时出现在页面上
+ *   login       打开登录弹窗后才出现
+ *   signin      签到页面上，签到按钮和已签到标识只会出现其中一个
+ *   on_demand   只在需要时出现（验证码、登录验证码等）
+ * 未列出的选择器视为 on_demand
+ */
+export const SELECTOR_SCENES = {
+	loginButton: 'logged_out',
+	userAvatar: 'logged_in',
+	userInfo: 'logged_in',
+	loginModal: 'login',
+	loginTabPassword: 'login',
+	loginTabQrCode: 'login',
+	usernameInput: 'login',
+	passwordInput: 'login',
+	submitButton: 'login',
+	qrCode: 'login',
+	signInButton: 'signin',
+	signedInIndicator: 'signin',
+};
+
+/**
+ * 场景的显示名称
+ */
+export const SCENE_LABELS = {
+	logged_out: '未登录时',
+	logged_in: '已登录时',
+	login: '登录弹窗中',
+	signin: '签到页面',
+	on_demand: '按需出现',
+};
+
+/**
+ * 拆分逗号分隔的备选选择器
+ * 括号、方括号和引号中的逗号不拆分，如 :has-text('a, b')、:is(.a, .b)
+ * @param {string} selector - 选择器
+ * @returns {string[]} 备选选择器列表
+ */
+export function splitSelectorList(selector) {
+	const parts = [];
+	let depth = 0;
+	let quote = null;
+	let current = '';
+
+	for (const char of selector) {
+		if (quote) {
+			if (char === quote) quote = null;
+		} else if (char === '"' || char === "'") {
+			quote = char;
+		} else if (char === '(' || char === '[') {
+			depth++;
+		} else if (char === ')' || char === ']') {
+			depth--;
+		} else if (char === ',' && depth === 0) {
+			parts.push(current.trim());
+			current = '';
+			continue;
+		}
+		current += char;
+	}
+	parts.push(current.trim());
+
+	return parts.filter(Boolean);
+}
+
+/**
+ * 获取按顺序尝试的备选选择器
+ * platforms.json 中的选择器可以是数组（每项原样使用，可以是 CSS、text=、role= 等 Playwright 选择器），
+ * 也可以是逗号分隔的字符串（按 splitSelectorList 拆分）
+ * @param {string|string[]} selector - 选择器
+ * @returns {string[]} 备选选择器列表，靠前的优先
+ */
+export function getSelectorAlternatives(selector) {
+	if (Array.isArray(selector)) {
+		return selector
+			.filter((item) => typeof item === 'string')
+			.map((item) => item.trim())
+			.filter(Boolean);
+	}
+	return typeof selector === 'string' ? splitSelectorList(selector) : [];
+}
+
+/**
+ * 格式化选择器用于日志和报告，数组的各项用「 | 」连接
+ * @param {string|string[]} selector - 选择器
+ * @returns {string} 格式化后的文字
+ */
+export function formatSelector(selector) {
+	return Array.isArray(selector) ? selector.join(' | ') : String(selector);
+}
+
+/**
+ * 判断选择器在当前页面状态下是否应该出现
+ * @param {string} name - 选择器名称
+ * @param {Object} state - 页面状态
+ * @param {boolean} state.loggedIn - 是否已登录
+ * @param {boolean} state.signInStateFound - 签到按钮或已签到标识是否已找到其中一个
+ * @returns {boolean|null} 应该出现返回 true，不应出现返回 false，无法判断（需要操作后才出现）返回 null
+ */
+export function isSelectorExpected(name, state) {
+	const scene = SELECTOR_SCENES[name] || 'on_demand';
+	if (scene === 'logged_out') return !state.loggedIn;
+	if (scene === 'logged_in') return state.loggedIn;
+	if (scene === 'signin' && state.loggedIn) return !state.signInStateFound;
+	return null;
+}
@@ -2,16 +2,31 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import logger from './logger.js';
+import config from './config.js';
+import scheduleConfig from './scheduleConfig.js';
+import encryption from './encryption.js';
+import { parseCookies, cookieMatchesDomain } from './cookies.js';
+import { SessionLoadError } from './errors.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// 没有配置登录 Cookie 或 Cookie 没有过期时间时，按文件修改时间判断的有效天数
+const FALLBACK_MAX_AGE_DAYS = 7;
+
 /**
  * 会话管理类
  * 使用 Playwright 的 storageState 功能保存和恢复登录状态
+ * 配置了主密码（MASTER_PASSPHRASE / MASTER_KEY_FILE）时，会话文件以 AES-GCM 加密保存
  */
 class SessionManager {
 	constructor() {
 		this.sessionDir = path.join(__dirname, '../../sessions');
+		this.refreshStatusPath = path.join(
+			__dirname,
+			'../../data/session-refresh.json'
+		);
 		this.ensureSessionDir();
 	}
 
@@ -30,7 +45,20 @@ class SessionManager {
 	 * @returns {string} 会话文件路径
 	 */
 	getSessionPath(platformName) {
-		return path.join(this.sessionDir, `${platformName}_state.json`);
+		// 多账号的目标 juejin:alice 保存为 juejin@alice_state.json
+		return path.join(
+			this.sessionDir,
+			`${platformName.replace(':', '@')}_state.json`
+		);
+	}
+
+	/**
+	 * 根据会话文件名还原平台名称（多账号时为 平台:账号）
+	 * @param {string} file - 文件名
+	 * @returns {string} 平台名称
+	 */
+	getSessionKeyFromFile(file) {
+		return file.replace('_state.json', '').replace('@', ':');
 	}
 
 	/**
@@ -40,67 +68,349 @@ class SessionManager {
 	 */
 	async saveStorageState(platformName, context) {
 		try {
-			const sessionPath = this.getSessionPath(platformName);
+			// 使用 Playwright 的 storageState 方法获取状态
+			const state = await context.storageState();
+			this.writeStorageState(platformName, state);
 
-			// 使用 Playwright 的 storageState 方法保存状态
-			await context.storageState({ path: sessionPath });
-
-			logger.info(`${platformName} - 登录状态已保存`);
+			logger.info(
+				`${platformName} - 登录状态已保存${
+					encryption.isEnabled() ? '（已加密）' : ''
+				}`
+			);
 		} catch (error) {
 			logger.error(`${platformName} - 保存登录状态失败: ${error.message}`);
 		}
 	}
 
 	/**
-	 * 检查会话文件是否存在且有效
+	 * 写入存储状态，配置了主密码时加密保存
 	 * @param {string} platformName - 平台名称
-	 * @returns {boolean} 会话是否有效
+	 * @param {Object} state - Playwright storageState 对象
 	 */
-	hasValidSession(platformName) {
-		const sessionPath = this.getSessionPath(platformName);
+	writeStorageState(platformName, state) {
+		const content = encryption.isEnabled() ? encryption.encrypt(state) : state;
+		fs.writeFileSync(
+			this.getSessionPath(platformName),
+			JSON.stringify(content, null, 2),
+			{ mode: 0o600 }
+		);
+	}
 
+	/**
+	 * 读取存储状态，加密的文件会被解密
+	 * @param {string} platformName - 平台名称
+	 * @returns {Object|null} storageState 对象，文件不存在时返回 null
+	 */
+	readStorageState(platformName) {
+		const sessionPath = this.getSessionPath(platformName);
 		if (!fs.existsSync(sessionPath)) {
+			return null;
+		}
+
+		const data = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+		if (!encryption.isEncrypted(data)) {
+			return data;
+		}
+
+		if (!encryption.isEnabled()) {
+			const error = new Error(
+				'会话文件已加密，请设置 MASTER_PASSPHRASE 或 MASTER_KEY_FILE'
+			);
+			error.locked = true;
+			throw error;
+		}
+
+		try {
+			return encryption.decrypt(data);
+		} catch (error) {
+			error.locked = true;
+			throw error;
+		}
+	}
+
+	/**
+	 * 会话文件是否已加密
+	 * @param {string} platformName - 平台名称
+	 * @returns {boolean} 是否已加密
+	 */
+	isSessionEncrypted(platformName) {
+		try {
+			const data = JSON.parse(
+				fs.readFileSync(this.getSessionPath(platformName), 'utf8')
+			);
+			return encryption.isEncrypted(data);
+		} catch (error) {
 			return false;
 		}
+	}
+
+	/**
+	 * 获取平台配置的登录 Cookie 名称
+	 * @param {string} platformName - 平台名称
+	 * @returns {string[]} Cookie 名称列表
+	 */
+	getAuthCookieNames(platformName) {
+		const platformConfig = config.getPlatformConfig(
+			config.parseTarget(platformName).platform
+		);
+		return platformConfig?.authCookies || [];
+	}
+
+	/**
+	 * 获取平台 Cookie 所属的域名
+	 * 默认为平台地址去掉 www. 后的主域名，可通过 platforms.json 中的 cookieDomain 指定
+	 * @param {string} platformName - 平台名称
+	 * @returns {string} 域名，如 .bilibili.com
+	 */
+	getCookieDomain(platformName) {
+		const platformConfig = config.getPlatformConfig(
+			config.parseTarget(platformName).platform
+		);
+		if (platformConfig.cookieDomain) {
+			return platformConfig.cookieDomain;
+		}
+		return `.${new URL(platformConfig.url).hostname.replace(/^www\./, '')}`;
+	}
+
+	/**
+	 * 导入浏览器中导出的 Cookie，保存为平台的登录状态
+	 * 只保留属于平台域名的 Cookie，其余站点的 Cookie 会被丢弃
+	 * @param {string} platformName - 平台名称
+	 * @param {string} text - Cookie 内容（请求头字符串、cookies.txt 或 JSON）
+	 * @returns {Object} { format, imported, skipped, missing }
+	 *   missing 为缺少的登录 Cookie 名称
+	 */
+	importCookies(platformName, text) {
+		const domain = this.getCookieDomain(platformName);
+		const { format, cookies } = parseCookies(text, domain);
+
+		const relevant = cookies.filter((cookie) =>
+			cookieMatchesDomain(cookie, domain)
+		);
+		if (relevant.length === 0) {
+			throw new Error(`没有找到属于 ${domain} 的 Cookie`);
+		}
+
+		this.writeStorageState(platformName, { cookies: relevant, origins: [] });
+		logger.info(
+			`${platformName} - 已导入 ${relevant.length} 个 Cookie${
+				encryption.isEnabled() ? '（已加密）' : ''
+			}`
+		);
+
+		const expiry = this.getCookieExpiry(platformName, relevant);
+		return {
+			format,
+			imported: relevant.length,
+			skipped: cookies.length - relevant.length,
+			missing: expiry ? expiry.missing : [],
+		};
+	}
+
+	/**
+	 * 根据登录 Cookie 的过期时间计算会话有效期
+	 * 配置了多个登录 Cookie 时以最早过期的为准，缺少任意一个则视为未登录
+	 * @param {string} platformName - 平台名称
+	 * @param {Array} cookies - storageState 中的 Cookie 列表
+	 * @returns {Object|null} { expiresAt, missing }，无法从 Cookie 判断时返回 null
+	 */
+	getCookieExpiry(platformName, cookies) {
+		const names = this.getAuthCookieNames(platformName);
+		if (names.length === 0) {
+			return null;
+		}
+
+		const authCookies = names.map((name) =>
+			cookies.find((cookie) => cookie.name === name)
+		);
+		const missing = names.filter((name, index) => !authCookies[index]);
+		if (missing.length > 0) {
+			return { expiresAt: null, missing };
+		}
+
+		// expires 为 -1 表示浏览器会话 Cookie，没有明确的过期时间
+		const expiries = authCookies
+			.filter((cookie) => cookie.expires > 0)
+			.map((cookie) => cookie.expires * 1000);
+		if (expiries.length === 0) {
+			return null;
+		}
+
+		return { expiresAt: new Date(Math.min(...expiries)), missing: [] };
+	}
+
+	/**
+	 * 获取会话文件的详细状态
+	 * @param {string} platformName - 平台名称
+	 * @returns {Object|null} 会话状态，文件不存在时返回 null
+	 *   { platform, isValid, expiresAt, expirySource, lastModified, daysOld, reason }
+	 */
+	getSessionInfo(platformName) {
+		const sessionPath = this.getSessionPath(platformName);
+
+		if (!fs.existsSync(sessionPath)) {
+			return null;
+		}
 
+		const stats = fs.statSync(sessionPath);
+		const daysSinceModified = (Date.now() - stats.mtime.getTime()) / DAY_MS;
+		const info = {
+			platform: platformName,
+			isValid: false,
+			expiresAt: null,
+			expirySource: 'mtime',
+			lastModified: stats.mtime,
+			daysOld: Math.round(daysSinceModified),
+			reason: null,
+			encrypted: false,
+			locked: false,
+			refreshFailed: false,
+			refresh: this.getRefreshStatus(platformName),
+		};
+
+		// 刷新检查失败后还没有重新登录保存过状态
+		if (
+			info.refresh &&
+			!info.refresh.success &&
+			new Date(info.refresh.checkedAt).getTime() >= stats.mtime.getTime()
+		) {
+			info.refreshFailed = true;
+		}
+
+		let data;
 		try {
-			// 检查文件是否可读且包含有效数据
-			const data = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
-
-			// 检查文件修改时间，超过7天则认为过期
-			const stats = fs.statSync(sessionPath);
-			const daysSinceModified =
-				(Date.now() - stats.mtime.getTime()) / (1000 * 60 * 60 * 24);
-
-			if (daysSinceModified > 7) {
-				logger.info(
-					`${platformName} - 会话文件已过期（${Math.round(
-						daysSinceModified
-					)}天前），删除文件`
-				);
-				this.clearSession(platformName);
-				return false;
+			info.encrypted = this.isSessionEncrypted(platformName);
+			data = this.readStorageState(platformName);
+		} catch (error) {
+			// 无法解密时不能判断是否过期，标记为锁定，不要删除
+			info.locked = !!error.locked;
+			info.reason = error.locked
+				? error.message
+				: `会话文件损坏: ${error.message}`;
+			return info;
+		}
+
+		// 检查是否包含必要的字段
+		if (!data.cookies || !Array.isArray(data.cookies)) {
+			info.reason = '会话文件缺少 cookies 字段';
+			return info;
+		}
+
+		const cookieExpiry = this.getCookieExpiry(platformName, data.cookies);
+		if (cookieExpiry) {
+			info.expirySource = 'cookie';
+			if (cookieExpiry.missing.length > 0) {
+				info.reason = `缺少登录 Cookie: ${cookieExpiry.missing.join(', ')}`;
+				return info;
 			}
 
-			// 检查是否包含必要的字段
-			return data.cookies && Array.isArray(data.cookies);
-		} catch (error) {
-			logger.warn(`${platformName} - 会话文件损坏: ${error.message}`);
+			info.expiresAt = cookieExpiry.expiresAt;
+			info.isValid = cookieExpiry.expiresAt.getTime() > Date.now();
+			if (!info.isValid) {
+				info.reason = `登录 Cookie 已于 ${cookieExpiry.expiresAt.toLocaleString(
+					'zh-CN',
+					{ timeZone: scheduleConfig.getTimezone() }
+				)} 过期`;
+			}
+			return info;
+		}
+
+		// 无法从 Cookie 判断时，按文件修改时间判断
+		info.expiresAt = new Date(
+			stats.mtime.getTime() + FALLBACK_MAX_AGE_DAYS * DAY_MS
+		);
+		info.isValid = daysSinceModified <= FALLBACK_MAX_AGE_DAYS;
+		if (!info.isValid) {
+			info.reason = `会话文件已过期（${info.daysOld}天前）`;
+		}
+		return info;
+	}
+
+	/**
+	 * 检查会话文件是否存在且有效，过期或损坏的文件会被删除
+	 * @param {string} platformName - 平台名称
+	 * @returns {boolean} 会话是否有效
+	 */
+	hasValidSession(platformName) {
+		const info = this.getSessionInfo(platformName);
+		if (!info) {
+			return false;
+		}
+
+		if (info.locked) {
+			logger.warn(`${platformName} - ${info.reason}`);
+			return false;
+		}
+
+		if (!info.isValid) {
+			logger.info(`${platformName} - ${info.reason}，删除文件`);
 			this.clearSession(platformName);
 			return false;
 		}
+
+		return true;
 	}
 
 	/**
-	 * 获取存储状态文件路径（用于 Playwright 加载）
+	 * 获取有效的存储状态（用于 Playwright 加载）
+	 * 加密的会话在内存中解密，不会写出明文文件
+	 * 会话文件无法解密时抛出 SessionLoadError，避免重新登录后覆盖加密的文件
 	 * @param {string} platformName - 平台名称
-	 * @returns {string|null} 存储状态文件路径，如果不存在则返回 null
+	 * @returns {Object|null} storageState 对象，如果不存在或无效则返回 null
 	 */
-	getStorageStatePath(platformName) {
-		if (this.hasValidSession(platformName)) {
-			return this.getSessionPath(platformName);
+	loadStorageState(platformName) {
+		const info = this.getSessionInfo(platformName);
+		if (info?.locked) {
+			throw new SessionLoadError(info.reason);
+		}
+		if (!this.hasValidSession(platformName)) {
+			return null;
+		}
+
+		try {
+			return this.readStorageState(platformName);
+		} catch (error) {
+			throw new SessionLoadError(`读取登录状态失败: ${error.message}`, {
+				cause: error,
+			});
 		}
-		return null;
+	}
+
+	/**
+	 * 加密所有明文保存的会话文件
+	 * @returns {Object} { encrypted, skipped, failed } 各类文件的平台名称
+	 */
+	encryptExistingSessions() {
+		if (!encryption.isEnabled()) {
+			throw new Error(
+				'未配置主密码，请设置 MASTER_PASSPHRASE 或 MASTER_KEY_FILE'
+			);
+		}
+
+		const summary = { encrypted: [], skipped: [], failed: [] };
+		const files = fs
+			.readdirSync(this.sessionDir)
+			.filter((file) => file.endsWith('_state.json'));
+
+		for (const file of files) {
+			const platformName = this.getSessionKeyFromFile(file);
+			try {
+				if (this.isSessionEncrypted(platformName)) {
+					summary.skipped.push(platformName);
+					continue;
+				}
+
+				const state = this.readStorageState(platformName);
+				this.writeStorageState(platformName, state);
+				summary.encrypted.push(platformName);
+				logger.info(`${platformName} - 会话文件已加密`);
+			} catch (error) {
+				summary.failed.push(platformName);
+				logger.error(`${platformName} - 加密会话文件失败: ${error.message}`);
+			}
+		}
+
+		return summary;
 	}
 
 	/**
@@ -129,13 +439,11 @@ class SessionManager {
 
 			for (const file of files) {
 				if (file.endsWith('_state.json')) {
-					const filePath = path.join(this.sessionDir, file);
-					const stats = fs.statSync(filePath);
-					const daysSinceModified =
-						(Date.now() - stats.mtime.getTime()) / (1000 * 60 * 60 * 24);
+					const info = this.getSessionInfo(this.getSessionKeyFromFile(file));
 
-					if (daysSinceModified > 7) {
-						fs.unlinkSync(filePath);
+					if (info && !info.isValid && !info.locked) {
+						logger.debug(`${info.platform} - ${info.reason}`);
+						fs.unlinkSync(path.join(this.sessionDir, file));
 						cleanedCount++;
 					}
 				}
@@ -160,20 +468,13 @@ class SessionManager {
 
 			for (const file of files) {
 				if (file.endsWith('_state.json')) {
-					const platformName = file.replace('_state.json', '');
-					const filePath = path.join(this.sessionDir, file);
+					const platformName = this.getSessionKeyFromFile(file);
 
 					try {
-						const stats = fs.statSync(filePath);
-						const daysSinceModified =
-							(Date.now() - stats.mtime.getTime()) / (1000 * 60 * 60 * 24);
-
-						sessions.push({
-							platform: platformName,
-							isValid: daysSinceModified <= 7,
-							lastModified: stats.mtime,
-							daysOld: Math.round(daysSinceModified),
-						});
+						const info = this.getSessionInfo(platformName);
+						if (info) {
+							sessions.push(info);
+						}
 					} catch (error) {
 						logger.warn(`读取会话文件 ${file} 失败: ${error.message}`);
 					}
@@ -187,6 +488,51 @@ class SessionManager {
 		}
 	}
 
+	/**
+	 * 读取所有平台最近一次刷新检查的结果
+	 * @returns {Object} 平台名称 -> { success, message, checkedAt }
+	 */
+	readRefreshStatus() {
+		try {
+			if (fs.existsSync(this.refreshStatusPath)) {
+				return JSON.parse(fs.readFileSync(this.refreshStatusPath, 'utf8'));
+			}
+		} catch (error) {
+			logger.warn(`读取登录状态刷新记录失败: ${error.message}`);
+		}
+		return {};
+	}
+
+	/**
+	 * 获取平台最近一次刷新检查的结果
+	 * @param {string} platformName - 平台名称
+	 * @returns {Object|null} { success, message, checkedAt }
+	 */
+	getRefreshStatus(platformName) {
+		return this.readRefreshStatus()[platformName] || null;
+	}
+
+	/**
+	 * 记录平台刷新检查的结果
+	 * @param {string} platformName - 平台名称
+	 * @param {Object} result - 刷新结果 { success, message }
+	 */
+	recordRefresh(platformName, result) {
+		try {
+			const status = this.readRefreshStatus();
+			status[platformName] = {
+				success: result.success,
+				message: result.message,
+				checkedAt: new Date().toISOString(),
+			};
+
+			fs.mkdirSync(path.dirname(this.refreshStatusPath), { recursive: true });
+			fs.writeFileSync(this.refreshStatusPath, JSON.stringify(status, null, 2));
+		} catch (error) {
+			logger.warn(`${platformName} - 保存刷新记录失败: ${error.message}`);
+		}
+	}
+
 	/**
 	 * 批量清理指定平台的会话
 	 * @param {Array} platformNames - 平台名称数组
@@ -0,0 +1,153 @@
+/**
+ * 签到结果状态
+ *   signed          本次签到成功
+ *   already_signed  今天已经签到过
+ *   failed          签到失败，failureReason 为失败原因
+ *   skipped         没有执行签到（如 API 模式没有登录状态）
+ */
+export const SIGNIN_STATUS = Object.freeze({
+	SIGNED: 'signed',
+	ALREADY_SIGNED: 'already_signed',
+	FAILED: 'failed',
+	SKIPPED: 'skipped',
+});
+
+/**
+ * 各状态的显示名称
+ */
+export const STATUS_LABELS = {
+	signed: '签到成功',
+	already_signed: '今日已签到',
+	failed: '签到失败',
+	skipped: '已跳过',
+};
+
+/**
+ * 登录方式的显示名称
+ *   session  使用保存的登录状态
+ *   password 账号密码登录
+ *   qrcode   扫码登录
+ *   cookie   API 模式，使用保存的 Cookie 直接请求
+ */
+export const LOGIN_METHOD_LABELS = {
+	session: '登录状态',
+	password: '密码登录',
+	qrcode: '扫码登录',
+	cookie: 'Cookie',
+};
+
+/**
+ * 签到流程各阶段的显示名称
+ */
+export const PHASE_LABELS = {
+	browser: '启动浏览器',
+	navigation: '打开页面',
+	login: '登录',
+	session: '检查登录状态',
+	signin: '签到',
+};
+
+/**
+ * 创建签到结果，平台的 signIn() 返回此对象
+ * @param {string} status - 签到结果状态，见 SIGNIN_STATUS
+ * @param {Object} details - 详细信息
+ * @param {string} details.reward - 签到奖励，如「5 矿石」
+ * @param {number} details.streak - 连续签到天数
+ * @param {string} details.message - 平台返回的提示，签到失败时为失败原因
+ * @returns {Object} { status, reward, streak, message }
+ */
+export function createOutcome(status, details = {}) {
+	return {
+		status,
+		reward: details.reward ?? null,
+		streak: details.streak ?? null,
+		message: details.message ?? null,
+	};
+}
+
+/**
+ * 兼容仍返回布尔值的 signIn() 实现
+ * @param {Object|boolean} outcome - signIn() 的返回值
+ * @returns {Object} 签到结果
+ */
+export function normalizeOutcome(outcome) {
+	if (typeof outcome === 'boolean') {
+		return createOutcome(outcome ? SIGNIN_STATUS.SIGNED : SIGNIN_STATUS.FAILED);
+	}
+	return createOutcome(outcome.status, outcome);
+}
+
+/**
+ * 判断状态是否算作签到成功（本次签到成功或今天已签到）
+ * @param {string} status - 签到结果状态
+ * @returns {boolean} 是否成功
+ */
+export function isSuccessStatus(status) {
+	return (
+		status === SIGNIN_STATUS.SIGNED || status === SIGNIN_STATUS.ALREADY_SIGNED
+	);
+}
+
+/**
+ * 生成签到结果的说明文字，包含奖励和连续签到天数
+ * @param {Object} outcome - 签到结果
+ * @returns {string} 说明文字
+ */
+export function describeOutcome(outcome) {
+	const parts = [STATUS_LABELS[outcome.status] || outcome.status];
+	if (outcome.reward) {
+		parts.push(`获得 ${outcome.reward}`);
+	}
+	if (outcome.streak) {
+		parts.push(`连续签到 ${outcome.streak} 天`);
+	}
+	return parts.join('，');
+}
+
+/**
+ * 格式化各阶段耗时，如「启动浏览器 1.2秒 · 打开页面 3.4秒 · 签到 2.1秒」
+ * @param {Object} timings - 各阶段耗时（毫秒）
+ * @returns {string} 格式化后的文字
+ */
+export function formatTimings(timings = {}) {
+	return Object.entries(timings)
+		.map(
+			([phase, ms]) =>
+				`${PHASE_LABELS[phase] || phase} ${(ms / 1000).toFixed(1)}秒`
+		)
+		.join(' · ');
+}
+
+/**
+ * 签到流程各阶段计时
+ */
+export class PhaseTimer {
+	constructor() {
+		this.timings = {};
+		this.phase = null;
+		this.phaseStart = null;
+	}
+
+	/**
+	 * 进入新阶段，结束上一阶段的计时
+	 * @param {string} phase - 阶段名称
+	 */
+	start(phase) {
+		this.stop();
+		this.phase = phase;
+		this.phaseStart = Date.now();
+	}
+
+	/**
+	 * 结束当前阶段的计时
+	 * @returns {Object} 各阶段耗时（毫秒），阶段名称 -> 耗时
+	 */
+	stop() {
+		if (this.phase) {
+			this.timings[this.phase] =
+				(this.timings[this.phase] || 0) + Date.now() - this.phaseStart;
+			this.phase = null;
+		}
+		return this.timings;
+	}
+}
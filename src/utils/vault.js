@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import encryption from './encryption.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * 加密凭据库
+ * 账号密码整体以主密码加密保存在 data/vault.json（可通过 VAULT_PATH 修改），
+ * 取代 .env 中的明文密码
+ */
+class CredentialVault {
+	constructor() {
+		this.cache = null;
+		this.warned = false;
+	}
+
+	/**
+	 * 凭据库文件路径（在 .env 加载之后读取 VAULT_PATH）
+	 * @returns {string} 文件路径
+	 */
+	get vaultPath() {
+		return (
+			process.env.VAULT_PATH || path.join(__dirname, '../../data/vault.json')
+		);
+	}
+
+	/**
+	 * 凭据库文件是否存在
+	 * @returns {boolean} 是否存在
+	 */
+	exists() {
+		return fs.existsSync(this.vaultPath);
+	}
+
+	/**
+	 * 创建空的凭据库
+	 * @param {boolean} force - 已存在时是否覆盖
+	 */
+	init(force = false) {
+		if (this.exists() && !force) {
+			throw new Error(`凭据库已存在: ${this.vaultPath}`);
+		}
+
+		this.save({ version: 1, platforms: {} });
+	}
+
+	/**
+	 * 读取并解密凭据库
+	 * @returns {Object} { version, platforms }
+	 */
+	load() {
+		if (this.cache) {
+			return this.cache;
+		}
+
+		if (!this.exists()) {
+			throw new Error('凭据库不存在，请先执行 vault init');
+		}
+
+		if (!encryption.isEnabled()) {
+			throw new Error(
+				'凭据库已加密，请设置 MASTER_PASSPHRASE 或 MASTER_KEY_FILE'
+			);
+		}
+
+		const envelope = JSON.parse(fs.readFileSync(this.vaultPath, 'utf8'));
+		this.cache = encryption.decrypt(envelope);
+		return this.cache;
+	}
+
+	/**
+	 * 加密并保存凭据库
+	 * @param {Object} data - 凭据库内容
+	 */
+	save(data) {
+		fs.mkdirSync(path.dirname(this.vaultPath), { recursive: true });
+		fs.writeFileSync(
+			this.vaultPath,
+			JSON.stringify(encryption.encrypt(data), null, 2),
+			{ mode: 0o600 }
+		);
+		this.cache = data;
+	}
+
+	/**
+	 * 保存平台账号
+	 * @param {string} platformName - 平台名称
+	 * @param {Object} credentials - { username, password }
+	 */
+	set(platformName, credentials) {
+		const data = this.load();
+		data.platforms[platformName] = {
+			username: credentials.username,
+			password: credentials.password,
+			updatedAt: new Date().toISOString(),
+		};
+		this.save(data);
+	}
+
+	/**
+	 * 删除平台账号
+	 * @param {string} platformName - 平台名称
+	 * @returns {boolean} 是否存在并已删除
+	 */
+	remove(platformName) {
+		const data = this.load();
+		if (!data.platforms[platformName]) {
+			return false;
+		}
+
+		delete data.platforms[platformName];
+		this.save(data);
+		return true;
+	}
+
+	/**
+	 * 列出保存的账号（不含密码）
+	 * @returns {Array} [{ platform, username, updatedAt }]
+	 */
+	list() {
+		return Object.entries(this.load().platforms).map(([platform, entry]) => ({
+			platform,
+			username: entry.username,
+			updatedAt: entry.updatedAt,
+		}));
+	}
+
+	/**
+	 * 获取平台账号，凭据库不存在或无法解密时返回 null
+	 * @param {string} platformName - 平台名称
+	 * @returns {Object|null} { username, password }
+	 */
+	getCredentials(platformName) {
+		if (!this.exists()) {
+			return null;
+		}
+
+		try {
+			const entry = this.load().platforms[platformName];
+			return entry ? { username: entry.username, password: entry.password } : null;
+		} catch (error) {
+			// 只提示一次，之后直接回退到环境变量
+			if (!this.warned) {
+				logger.warn(`无法读取凭据库，已跳过: ${error.message}`);
+				this.warned = true;
+			}
+			return null;
+		}
+	}
+}
+
+export default new CredentialVault();
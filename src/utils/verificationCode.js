@@ -0,0 +1,204 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import { VerificationCodeRequiredError } from './errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * 默认的验证码来源：终端输入、文件、守护进程控制接口
+ */
+const DEFAULT_SOURCES = ['tty', 'file', 'api'];
+
+/**
+ * 登录验证码（短信、邮箱验证码）输入管理
+ * 签到流程等待验证码时，同时从多个来源读取，使用最先提供的验证码：
+ *   tty   标准输入为终端时提示输入
+ *   file  写入 data/verification-codes/<平台>.txt（多账号为 平台@账号.txt）
+ *   api   守护进程控制接口 POST /verification-code
+ */
+class VerificationCodeBroker {
+	constructor() {
+		this.codeDir = path.join(__dirname, '../../data/verification-codes');
+		// 正在等待验证码的平台，平台名称 -> { resolve, since }
+		this.pending = new Map();
+		// 终端提示队列，同一时间只有一个平台读取标准输入
+		this.ttyQueue = Promise.resolve();
+	}
+
+	/**
+	 * 获取平台的验证码文件路径
+	 * @param {string} platformName - 平台名称，多账号时为 平台:账号
+	 * @returns {string} 文件路径
+	 */
+	getCodePath(platformName) {
+		return path.join(this.codeDir, `${platformName.replace(':', '@')}.txt`);
+	}
+
+	/**
+	 * 列出正在等待验证码的平台
+	 * @returns {Array} [{ platform, since }]
+	 */
+	getPending() {
+		return Array.from(this.pending.entries()).map(([platform, entry]) => ({
+			platform,
+			since: entry.since,
+		}));
+	}
+
+	/**
+	 * 提交验证码（控制接口调用）
+	 * @param {string} platformName - 平台名称
+	 * @param {string} code - 验证码
+	 * @returns {boolean} 该平台是否正在等待验证码
+	 */
+	submit(platformName, code) {
+		const entry = this.pending.get(platformName);
+		if (!entry) {
+			return false;
+		}
+		entry.resolve({ code: String(code).trim(), source: 'api' });
+		return true;
+	}
+
+	/**
+	 * 等待验证码
+	 * @param {string} platformName - 平台名称
+	 * @param {Object} options - 选项
+	 * @param {string[]} options.sources - 验证码来源，默认 ['tty', 'file', 'api']
+	 * @param {number} options.timeout - 等待时间（毫秒），默认 5 分钟
+	 * @param {string} options.label - 终端提示中显示的平台名称
+	 * @returns {Promise<Object>} { code, source }
+	 * @throws {VerificationCodeRequiredError} 超时或没有可用的来源时抛出
+	 */
+	async waitForCode(platformName, options = {}) {
+		const {
+			sources = DEFAULT_SOURCES,
+			timeout = 5 * 60 * 1000,
+			label = platformName,
+		} = options;
+		const cleanups = [];
+
+		const waiting = new Promise((resolve) => {
+			if (sources.includes('api')) {
+				this.pending.set(platformName, {
+					resolve,
+					since: new Date().toISOString(),
+				});
+				cleanups.push(() => this.pending.delete(platformName));
+			}
+
+			if (sources.includes('file')) {
+				cleanups.push(this.watchFile(platformName, resolve));
+			}
+
+			if (sources.includes('tty') && process.stdin.isTTY) {
+				cleanups.push(this.promptTty(label, resolve));
+			}
+		});
+
+		if (cleanups.length === 0) {
+			throw new VerificationCodeRequiredError(
+				`没有可用的验证码来源（${sources.join(', ')}），非终端环境下请启用 file 或 api`
+			);
+		}
+
+		let timer;
+		const timedOut = new Promise((resolve, reject) => {
+			timer = setTimeout(() => {
+				reject(
+					new VerificationCodeRequiredError(
+						`${Math.round(timeout / 1000)} 秒内没有收到验证码`
+					)
+				);
+			}, timeout);
+		});
+
+		try {
+			const result = await Promise.race([waiting, timedOut]);
+			logger.info(`${label} - 已收到验证码（来源: ${result.source}）`);
+			return result;
+		} finally {
+			clearTimeout(timer);
+			cleanups.forEach((cleanup) => cleanup());
+		}
+	}
+
+	/**
+	 * 轮询验证码文件，读取后删除
+	 * @param {string} platformName - 平台名称
+	 * @param {Function} resolve - 收到验证码时的回调
+	 * @returns {Function} 停止轮询
+	 */
+	watchFile(platformName, resolve) {
+		const codePath = this.getCodePath(platformName);
+		fs.mkdirSync(this.codeDir, { recursive: true });
+		// 删除上次遗留的验证码，避免误用
+		fs.rmSync(codePath, { force: true });
+		logger.info(`${platformName} - 也可以将验证码写入 ${codePath}`);
+
+		const interval = setInterval(() => {
+			if (!fs.existsSync(codePath)) {
+				return;
+			}
+			const code = fs.readFileSync(codePath, 'utf8').trim();
+			if (code) {
+				fs.rmSync(codePath, { force: true });
+				resolve({ code, source: 'file' });
+			}
+		}, 1000);
+
+		return () => clearInterval(interval);
+	}
+
+	/**
+	 * 在终端中提示输入验证码
+	 * 并行签到时多个平台可能同时等待验证码，提示按顺序逐个显示，
+	 * 前一个平台收到验证码或超时后才提示下一个，避免多个 readline 争用标准输入
+	 * @param {string} label - 平台名称
+	 * @param {Function} resolve - 收到验证码时的回调
+	 * @returns {Function} 取消提示
+	 */
+	promptTty(label, resolve) {
+		let rl = null;
+		let cancelled = false;
+
+		this.ttyQueue = this.ttyQueue.then(
+			() =>
+				new Promise((done) => {
+					// 排队期间已经从其他来源收到验证码
+					if (cancelled) {
+						done();
+						return;
+					}
+
+					rl = readline.createInterface({
+						input: process.stdin,
+						output: process.stdout,
+					});
+					rl.on('close', done);
+
+					const ask = () =>
+						rl.question(`请输入 ${label} 收到的验证码: `, (answer) => {
+							if (answer.trim()) {
+								resolve({ code: answer.trim(), source: 'tty' });
+							} else {
+								ask();
+							}
+						});
+					ask();
+				})
+		);
+
+		return () => {
+			cancelled = true;
+			if (rl) {
+				rl.close();
+			}
+		};
+	}
+}
+
+export default new VerificationCodeBroker();
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BaseSignIn from '../src/base/BaseSignIn.js';
+import logger from '../src/utils/logger.js';
+import { SIGNIN_STATUS, createOutcome } from '../src/utils/signInResult.js';
+
+logger.setConsoleOutput(false);
+
+/**
+ * 不启动浏览器的签到实现，signIn() 返回指定的结果
+ */
+class StubSignIn extends BaseSignIn {
+	constructor(outcome) {
+		super('juejin');
+		this.outcome = outcome;
+	}
+
+	async initBrowser() {
+		this.page = {
+			goto: async () => {},
+			waitForLoadState: async () => {},
+		};
+	}
+
+	async startTrace() {}
+
+	async collectArtifacts() {
+		return null;
+	}
+
+	async closeBrowser() {}
+
+	async isLoggedIn() {
+		return true;
+	}
+
+	async signIn() {
+		return this.outcome;
+	}
+}
+
+test('signIn() 返回跳过时 run() 不抛出异常', async () => {
+	const signer = new StubSignIn(
+		createOutcome(SIGNIN_STATUS.SKIPPED, { message: '今日无需签到' })
+	);
+	const result = await signer.run({ runId: 'test' });
+
+	assert.equal(result.status, SIGNIN_STATUS.SKIPPED);
+	assert.equal(result.success, false);
+	assert.equal(result.failureReason, null);
+	assert.equal(result.retryable, null);
+	assert.equal(result.message, '今日无需签到');
+});
+
+test('signIn() 返回失败时记录失败原因', async () => {
+	const signer = new StubSignIn(
+		createOutcome(SIGNIN_STATUS.FAILED, { message: '签到按钮不可用' })
+	);
+	const result = await signer.run({ runId: 'test' });
+
+	assert.equal(result.status, SIGNIN_STATUS.FAILED);
+	assert.equal(result.failureReason, 'signin_failed');
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import credentialChain from '../src/credentials/index.js';
+import logger from '../src/utils/logger.js';
+
+logger.setConsoleOutput(false);
+
+const ENV = {
+	PARTIAL_USERNAME: 'alice',
+	FULL_USERNAME: 'bob',
+	FULL_PASSWORD: 'bob-password',
+	OTHER_PASSWORD: 'carol-password',
+};
+
+function envProvider(usernameEnv, passwordEnv) {
+	return {
+		type: 'env',
+		usernameEnv: `CREDENTIALS_TEST_${usernameEnv}`,
+		passwordEnv: `CREDENTIALS_TEST_${passwordEnv}`,
+	};
+}
+
+test('使用第一个提供了完整账号的来源', async (t) => {
+	for (const [name, value] of Object.entries(ENV)) {
+		process.env[`CREDENTIALS_TEST_${name}`] = value;
+	}
+	t.after(() => {
+		for (const name of Object.keys(ENV)) {
+			delete process.env[`CREDENTIALS_TEST_${name}`];
+		}
+	});
+
+	await t.test('跳过只有用户名的来源', async () => {
+		const result = await credentialChain.resolve('juejin', [
+			envProvider('PARTIAL_USERNAME', 'MISSING_PASSWORD'),
+			envProvider('FULL_USERNAME', 'FULL_PASSWORD'),
+		]);
+		assert.equal(result.username, 'bob');
+		assert.equal(result.password, 'bob-password');
+		assert.equal(result.tried.length, 2);
+	});
+
+	await t.test('不同来源的用户名和密码不会拼在一起', async () => {
+		const result = await credentialChain.resolve('juejin', [
+			envProvider('PARTIAL_USERNAME', 'MISSING_PASSWORD'),
+			envProvider('MISSING_USERNAME', 'OTHER_PASSWORD'),
+		]);
+		assert.equal(result.username, 'alice');
+		assert.equal(result.password, undefined);
+		assert.equal(result.tried.length, 2);
+	});
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CronExpression from '../src/scheduler/cronExpression.js';
+
+test('跳过夏令时开始时不存在的墙上时间', () => {
+	const cron = new CronExpression('30 2 * * *', 'America/New_York');
+	const times = cron.nextTimes(3, new Date('2026-03-07T12:00:00Z'));
+
+	// 2026-03-08 02:30 在纽约不存在，直接跳到 03-09
+	assert.deepEqual(
+		times.map((time) => time.toISOString()),
+		[
+			'2026-03-09T06:30:00.000Z',
+			'2026-03-10T06:30:00.000Z',
+			'2026-03-11T06:30:00.000Z',
+		]
+	);
+});
+
+test('夏令时切换期间的触发时间严格递增', () => {
+	const cron = new CronExpression('*/15 * * * *', 'America/New_York');
+	const from = new Date('2026-03-08T06:00:00Z');
+	const times = cron.nextTimes(12, from);
+
+	assert.equal(times.length, 12);
+	let previous = from;
+	for (const time of times) {
+		assert.ok(time > previous, `${time.toISOString()} 未晚于上一次触发`);
+		previous = time;
+	}
+});
+
+test('下一次触发时间晚于起始时刻', () => {
+	const cron = new CronExpression('0 9 * * *', 'Asia/Shanghai');
+	const from = new Date('2026-01-01T01:00:00Z');
+
+	assert.equal(cron.next(from).toISOString(), '2026-01-02T01:00:00.000Z');
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import HttpCaptchaHandler from '../src/captcha/http.js';
+import logger from '../src/utils/logger.js';
+
+logger.setConsoleOutput(false);
+
+test('验证码图片不可见时放弃识别而不是抛出异常', async () => {
+	const signIn = {
+		platformName: 'juejin',
+		platformConfig: { displayName: '掘金', selectors: {} },
+		page: { url: () => 'https://juejin.cn/' },
+	};
+	const handler = new HttpCaptchaHandler(signIn, {
+		url: 'http://127.0.0.1:1/solve',
+	});
+	const captcha = {
+		boundingBox: async () => null,
+		screenshot: async () => {
+			throw new Error('不应截图');
+		},
+	};
+
+	assert.equal(await handler.solve(captcha), false);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import sessionManager from '../src/utils/session.js';
+import logger from '../src/utils/logger.js';
+import { SessionLoadError, classifyError } from '../src/utils/errors.js';
+
+logger.setConsoleOutput(false);
+
+function restoreEnv(name, value) {
+	if (value === undefined) {
+		delete process.env[name];
+	} else {
+		process.env[name] = value;
+	}
+}
+
+test('无法解密的会话文件归类为 session_load_failed 而不是浏览器启动失败', (t) => {
+	const target = 'juejin:session-load-test';
+	const passphrase = process.env.MASTER_PASSPHRASE;
+	const keyFile = process.env.MASTER_KEY_FILE;
+	t.after(() => {
+		fs.rmSync(sessionManager.getSessionPath(target), { force: true });
+		restoreEnv('MASTER_PASSPHRASE', passphrase);
+		restoreEnv('MASTER_KEY_FILE', keyFile);
+	});
+
+	// 用主密码加密保存，再去掉主密码，模拟守护进程没有配置主密码
+	process.env.MASTER_PASSPHRASE = 'session-load-test';
+	sessionManager.writeStorageState(target, { cookies: [], origins: [] });
+	process.env.MASTER_PASSPHRASE = '';
+	process.env.MASTER_KEY_FILE = '';
+
+	assert.throws(
+		() => sessionManager.loadStorageState(target),
+		(error) => {
+			assert.ok(error instanceof SessionLoadError);
+			const failure = classifyError(error, 'browser');
+			assert.equal(failure.code, 'session_load_failed');
+			assert.equal(failure.retryable, false);
+			return true;
+		}
+	);
+});